@@ -1,177 +1,252 @@
 // ============================================================================
-// SCENARIO 1: Waiting for dynamic content (AJAX loading)
+// WAIT ENGINE: waitUntil(predicate, options)
 // ============================================================================
-// Modern websites load content asynchronously (AJAX/fetch), so automation
-// needs to wait for elements to appear before interacting with them
-// This scenario simulates polling/checking until content is ready
-
-console.log("⏳ Waiting for dynamic content to load...");
-
-// Flag variable to track whether our target content has loaded
-// Starts as false, will be set to true when content appears
-let contentLoaded = false;
-
-// Counter to track how long we've been waiting (in seconds)
-let waitTime = 0;
-
-// Maximum time we're willing to wait before giving up (timeout threshold)
-// After 10 seconds, we'll stop waiting and handle the failure
-const maxWaitTime = 10; // seconds
-
-// WHILE LOOP: Continues as long as BOTH conditions are true:
-// 1. Content hasn't loaded yet (!contentLoaded)
-// 2. We haven't exceeded our timeout (waitTime < maxWaitTime)
-// The '&&' means BOTH must be true for the loop to continue
-while (!contentLoaded && waitTime < maxWaitTime) {
-  // Log the current wait time so we can track progress
-  console.log(`Checking at ${waitTime}s...`);
-  
-  // Simulate checking for different elements on the page
-  // In real automation, this would be: await page.$('#element-id')
-  
-  // After 3 seconds, simulate that the main content has appeared
-  if (waitTime >= 3) {
-    console.log("  ✓ Main content loaded");
-    contentLoaded = true; // This will cause the while loop to exit
-  } 
-  // At exactly 2 seconds, a sidebar element appears
-  else if (waitTime === 2) {
-    console.log("  ✓ Sidebar loaded");
-    // Note: contentLoaded stays false, so loop continues
-  } 
-  // Before 2 seconds, nothing has loaded yet
-  else {
-    console.log("  ...still loading");
+// The three scenarios below used to be three hand-written while loops.
+// They all do the same thing: check something, wait, check again, give up
+// after a while. waitUntil() is that loop written ONCE so every scenario,
+// test class or page object can reuse it.
+//
+// predicate → function that returns a truthy value when the wait is over
+//             (may be async; if it throws, that counts as "not yet")
+// options:
+//   until     → optional check on the predicate's value, e.g. status => status === "done"
+//               (lets the predicate return the raw value so a timeout can report it)
+//   timeout   → give up after this many ms (default 5000)
+//   intervals → ms to wait between checks; the last value repeats
+//               [100, 250, 500, 1000] = progressive backoff, [200] = fixed
+//   message   → what we were waiting for (used in the timeout error)
+//   signal    → AbortSignal to cancel the wait from outside
+// Resolves with whatever the predicate returned when it became truthy
+// Each check is raced against the time left and the signal: a check still
+// running at the deadline counts as "not met" and the wait times out on time
+//
+// This is the reference copy - day8 await_&_errorhandlings.js carries the same
+// code (the demo scripts don't share modules); change it here first
+
+// Error thrown when the condition is never met
+// Carries the last value/error the predicate produced for debugging
+class WaitTimeoutError extends Error {
+  constructor(message, { timeout, checks, lastValue, lastError }) {
+    super(message);
+    this.name = "WaitTimeoutError";
+    this.timeout = timeout;
+    this.checks = checks;
+    this.lastValue = lastValue;
+    this.lastError = lastError;
   }
-  
-  // Increment the wait time counter
-  // This ensures the loop eventually terminates (prevents infinite loop)
-  waitTime++;
-  
-  // In real automation, you'd add: await page.waitForTimeout(1000)
-  // to actually pause execution for 1 second between checks
 }
 
-// After the loop exits, check WHY it exited
-// If contentLoaded is still false, we timed out
-if (!contentLoaded) {
-  console.log("⚠️ Timeout - taking fallback action");
+// Sleep that wakes up early (and rejects) when the signal is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Settle with the check's result, but reject once ms have passed or the signal
+// aborts - a predicate that never settles can't hold the wait past its timeout
+const withDeadline = (promise, ms, signal) => new Promise((resolve, reject) => {
+  const finish = (settle, value) => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+    settle(value);
+  };
+  const timer = setTimeout(() => finish(reject, new Error(`check still running after ${ms}ms`)), ms);
+  const onAbort = () => finish(reject, signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+  Promise.resolve(promise).then(value => finish(resolve, value), error => finish(reject, error));
+});
+
+async function waitUntil(predicate, {
+  timeout = 5000,
+  intervals = [100],
+  message = "condition",
+  until = Boolean,
+  signal
+} = {}) {
+  const startTime = Date.now();
+  const delays = Array.isArray(intervals) ? intervals : [intervals];
+  // An empty or non-numeric schedule turns into a NaN sleep - a busy loop with no pause - so fail loudly
+  if (delays.length === 0 || !delays.every(delay => Number.isFinite(delay) && delay >= 0)) {
+    throw new Error(`waitUntil intervals must be non-negative numbers, got ${JSON.stringify(intervals)}`);
+  }
+  let checks = 0;
+  let lastValue;
+  let lastError;
   
-  // Common fallback strategies when elements don't load:
-  console.log("  → Reloading page"); // Refresh and try again
-  console.log("  → Logging error");  // Record the failure for debugging
+  // Same shape as the old loops: keep checking while time is left
+  while (true) {
+    // Cancelled from outside (test aborted, suite shutting down, ...)
+    signal?.throwIfAborted();
+    
+    try {
+      const remaining = timeout - (Date.now() - startTime);
+      lastValue = await withDeadline(predicate(), Math.max(remaining, 0), signal);
+      lastError = undefined;
+      if (until(lastValue)) return lastValue;   // Condition met - done waiting
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;   // Cancelled mid-check - stop right away
+      lastError = error;                 // "Not found yet" style errors just mean keep waiting
+    }
+    checks++;
+    
+    // Out of time? Stop and explain what we saw last
+    const remaining = timeout - (Date.now() - startTime);
+    if (remaining <= 0) {
+      const seen = lastError ? `last error: ${lastError.message}` : `last value: ${JSON.stringify(lastValue)}`;
+      throw new WaitTimeoutError(
+        `Timed out after ${timeout}ms waiting for ${message} (${checks} checks, ${seen})`,
+        { timeout, checks, lastValue, lastError }
+      );
+    }
+    
+    // Pick the next interval (stay on the last one once we run out)
+    // Never sleep past the deadline - one final check happens right at the timeout
+    const interval = delays[Math.min(checks - 1, delays.length - 1)];
+    await sleep(Math.min(interval, remaining), signal);
+  }
 }
 
 
-// ============================================================================
-// SCENARIO 2: Progressive timeout (exponential backoff)
-// ============================================================================
-// Instead of checking at regular intervals, we increase wait times between
-// attempts. This is more efficient and reduces server load.
-// Common pattern: 1s, 2s, 4s, 8s... (doubling each time)
+// All scenarios share one async entry point so each can await the engine
+(async () => {
 
-console.log("\n🔄 Progressive element waiting:");
+  // ============================================================================
+  // SCENARIO 1: Waiting for dynamic content (AJAX loading)
+  // ============================================================================
+  // Modern websites load content asynchronously (AJAX/fetch), so automation
+  // needs to wait for elements to appear before interacting with them
+  // This scenario simulates polling/checking until content is ready
+  // (times are scaled down: 100ms here stands for 1 second)
 
-// Flag to track if we've successfully found our target element
-let elementFound = false;
+  console.log("⏳ Waiting for dynamic content to load...");
 
-// Counter for how many search attempts we've made
-let attempts = 0;
+  // Simulated page: main content appears ~300ms after the page starts loading
+  const pageLoadStart = Date.now();
+  const getPageState = () => {
+    const elapsed = Date.now() - pageLoadStart;
+    if (elapsed >= 300) return "main";
+    if (elapsed >= 200) return "sidebar";
+    return "loading";
+  };
 
-// Array defining how long to wait after each attempt (in milliseconds)
-// This creates a progressive backoff: wait longer each time
-// Pattern here: 1s → 2s → 3s → 5s (not quite exponential, but progressive)
-const waitPattern = [1000, 2000, 3000, 5000]; // Wait times in ms
-
-// WHILE LOOP with TWO exit conditions (connected by &&):
-// 1. Element hasn't been found yet (!elementFound)
-// 2. We haven't exhausted all our wait patterns (attempts < waitPattern.length)
-while (!elementFound && attempts < waitPattern.length) {
-  // Get the wait time for this specific attempt from our pattern array
-  const currentWait = waitPattern[attempts];
-  
-  // Log which attempt this is and how long we're waiting
-  // attempts + 1 because humans count from 1, not 0
-  console.log(`Attempt ${attempts + 1}: Waiting ${currentWait}ms`);
-  
-  // In real automation, you would actually pause here:
-  // await page.waitForTimeout(currentWait)
-  // Then check if the element exists:
-  // const element = await page.$('#my-element')
+  try {
+    // Fixed polling: check every 100ms, give up after 1000ms
+    // In real automation the predicate would be: () => page.$('#element-id')
+    await waitUntil(() => {
+      const state = getPageState();
+      console.log(`Checking at ${Date.now() - pageLoadStart}ms... ${state}`);
+      return state === "main";
+    }, { timeout: 1000, intervals: [100], message: "main content" });
+    console.log("  ✓ Main content loaded");
+  } catch (error) {
+    // The engine tells us WHY it gave up
+    console.log(`⚠️ ${error.message} - taking fallback action`);
   
-  // Simulate finding the element on the 3rd attempt (attempts = 2, since 0-indexed)
-  if (attempts >= 2) {
-    elementFound = true; // Set flag to exit the loop
-    console.log("✓ Element found!");
+    // Common fallback strategies when elements don't load:
+    console.log("  → Reloading page"); // Refresh and try again
+    console.log("  → Logging error");  // Record the failure for debugging
   }
-  
-  // Move to the next attempt
-  // This increments the counter and will use the next wait time in the pattern
-  attempts++;
-}
 
-// After loop exits:
-// - If elementFound is true: success! Continue with automation
-// - If elementFound is false: we exhausted all attempts, handle failure
 
+  // ============================================================================
+  // SCENARIO 2: Progressive timeout (exponential backoff)
+  // ============================================================================
+  // Instead of checking at regular intervals, we increase wait times between
+  // attempts. This is more efficient and reduces server load.
+  // Common pattern: 1s, 2s, 4s, 8s... (doubling each time)
 
-// ============================================================================
-// SCENARIO 3: Processing streaming results
-// ============================================================================
-// This scenario processes test results as they come in (streaming data)
-// and stops when we hit a specific pattern (5 consecutive passes)
-// Useful for: monitoring test suites, quality gates, performance checks
-
-console.log("\n📊 Processing test results stream:");
-
-// Array of test results coming in sequentially
-// Could represent results from a CI/CD pipeline or test runner
-const incomingResults = ["PASS", "PASS", "FAIL", "PASS", "PASS", "PASS"];
-
-// Index to track which result we're currently processing
-let resultIndex = 0;
-
-// Counter for how many consecutive PASS results we've seen
-// This resets to 0 whenever we encounter a FAIL
-let consecutivePasses = 0;
-
-// WHILE LOOP with TWO conditions (both must be true to continue):
-// 1. We haven't processed all results yet (resultIndex < incomingResults.length)
-// 2. We haven't hit our target of 5 consecutive passes (consecutivePasses < 5)
-// This implements an "early exit" strategy - stop processing once goal is met
-while (resultIndex < incomingResults.length && consecutivePasses < 5) {
-  // Get the current result from our array
-  const result = incomingResults[resultIndex];
-  
-  // Check if this result is a PASS
-  if (result === "PASS") {
-    // Increment our consecutive pass counter
-    consecutivePasses++;
-    console.log(`✓ Pass ${consecutivePasses}`);
-    
-    // If consecutivePasses reaches 5, the while condition becomes false
-    // and the loop will exit on the next check
-  } 
-  // If result is a FAIL (or anything other than "PASS")
-  else {
-    // Reset the consecutive pass counter back to 0
-    // We need 5 passes IN A ROW, so any failure restarts the count
-    consecutivePasses = 0;
-    console.log(`✗ Fail - resetting counter`);
+  console.log("\n🔄 Progressive element waiting:");
+
+  // Array defining how long to wait after each attempt (in milliseconds)
+  // Pattern here: 100 → 200 → 300 → 500 (progressive), 500 repeats after that
+  const waitPattern = [100, 200, 300, 500];
+
+  // Simulate finding the element on the 3rd attempt
+  let attempts = 0;
+  await waitUntil(() => {
+    attempts++;
+    console.log(`Attempt ${attempts}: checking for #my-element`);
+    return attempts >= 3;
+  }, { timeout: 2000, intervals: waitPattern, message: "#my-element" });
+  console.log("✓ Element found!");
+
+  // Timeout with a descriptive error: the last observed value is included
+  const getOrderStatus = () => "pending";   // Simulated: the order never completes
+  try {
+    await waitUntil(getOrderStatus, {
+      until: status => status === "done",
+      timeout: 300,
+      intervals: waitPattern,
+      message: 'order status "done"'
+    });
+  } catch (error) {
+    console.log(`✗ ${error.name}: ${error.message}`);
   }
-  
-  // Move to the next result in the array
-  // This ensures the loop progresses and eventually terminates
-  resultIndex++;
-}
 
-// After loop exits, report how many results we processed
-// This might be less than the total if we hit 5 consecutive passes early
-console.log(`\nProcessed ${resultIndex} results before hitting 5 consecutive passes`);
+  // Cancellation: an AbortController stops a wait early (e.g. test was aborted)
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error("Test run cancelled")), 150);
+  try {
+    await waitUntil(() => false, { timeout: 5000, intervals: [100], message: "never", signal: controller.signal });
+  } catch (error) {
+    console.log(`✗ Wait cancelled: ${error.message}`);
+  }
+
+
+  // ============================================================================
+  // SCENARIO 3: Processing streaming results
+  // ============================================================================
+  // This scenario processes test results as they come in (streaming data)
+  // and stops when we hit a specific pattern (5 consecutive passes)
+  // Useful for: monitoring test suites, quality gates, performance checks
+
+  console.log("\n📊 Processing test results stream:");
 
-// Note: If we processed all results without hitting 5 consecutive passes,
-// resultIndex would equal incomingResults.length
-// You could add additional logic here to handle that case
+  // Array of test results coming in sequentially
+  // Could represent results from a CI/CD pipeline or test runner
+  const incomingResults = ["PASS", "PASS", "FAIL", "PASS", "PASS", "PASS", "PASS", "PASS"];
+
+  // Index to track which result we're currently processing
+  let resultIndex = 0;
+
+  // Counter for how many consecutive PASS results we've seen
+  // This resets to 0 whenever we encounter a FAIL
+  let consecutivePasses = 0;
+
+  // Each check consumes one result; the wait ends at 5 passes in a row
+  // intervals: [0] → no pause between results (they are already here)
+  try {
+    await waitUntil(() => {
+      if (resultIndex >= incomingResults.length) {
+        throw new Error("Result stream ended");
+      }
+      const result = incomingResults[resultIndex++];
+    
+      if (result === "PASS") {
+        consecutivePasses++;
+        console.log(`✓ Pass ${consecutivePasses}`);
+      } else {
+        // We need 5 passes IN A ROW, so any failure restarts the count
+        consecutivePasses = 0;
+        console.log(`✗ Fail - resetting counter`);
+      }
+      return consecutivePasses >= 5;
+    }, { timeout: 1000, intervals: [0], message: "5 consecutive passes" });
+  
+    // This might be less than the total if we hit 5 consecutive passes early
+    console.log(`\nProcessed ${resultIndex} results before hitting 5 consecutive passes`);
+  } catch (error) {
+    console.log(`\n${error.message}`);
+  }
+
+})();
 
 
 // ============================================================================
@@ -185,13 +260,13 @@ console.log(`\nProcessed ${resultIndex} results before hitting 5 consecutive pas
 //    - && means ALL conditions must be true to continue
 //    - || means AT LEAST ONE condition must be true to continue
 //
-// 3. FLAG VARIABLES: Boolean variables (contentLoaded, elementFound)
-//    - Used to control loop execution
-//    - Set to true/false to signal state changes
+// 3. BOOLEAN CONDITIONS: The predicate's true/false result controls the loop
+//    - waitUntil() keeps polling while the predicate returns false
+//    - Returning true (e.g. attempts >= 3) signals "done" and ends the wait
 //
-// 4. COUNTER VARIABLES: Numeric variables (waitTime, attempts, resultIndex)
+// 4. COUNTER VARIABLES: Numeric variables (checks, attempts, resultIndex)
 //    - Track progress through iterations
-//    - Prevent infinite loops by providing a maximum bound
+//    - The timeout deadline is the maximum bound that prevents infinite loops
 //
 // 5. EARLY EXIT STRATEGY: Stop processing when a goal is met
 //    - More efficient than processing everything
@@ -201,7 +276,11 @@ console.log(`\nProcessed ${resultIndex} results before hitting 5 consecutive pas
 //    - consecutivePasses: tracks a pattern across multiple iterations
 //    - Resets when conditions change (FAIL breaks the streak)
 //
-// 7. REAL-WORLD APPLICATIONS:
+// 7. ONE ENGINE, MANY WAITS: waitUntil() replaces copy-pasted loops
+//    - intervals array = fixed polling or progressive backoff
+//    - AbortSignal cancels a wait; WaitTimeoutError explains a timeout
+//
+// 8. REAL-WORLD APPLICATIONS:
 //    - Dynamic content loading (AJAX/SPA websites)
 //    - Retry logic with progressive backoff
 //    - Stream processing with early termination
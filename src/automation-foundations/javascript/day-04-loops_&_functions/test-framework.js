@@ -5,6 +5,373 @@
 // They help organize related data and functionality into reusable components
 // Key OOP concepts: encapsulation, methods, state management, this keyword
 
+// Node's file system modules - used by the JUnit and HTML reporters to write files
+const fs = require("fs");
+const path = require("path");
+
+// ============================================================================
+// Custom error for steps that run too long
+// ============================================================================
+// Thrown when a step's action doesn't settle within its timeout
+// Extends the built-in Error class so instanceof checks and error.message work
+// Carries the step description and timeout so reports can explain the failure
+class TimeoutError extends Error {
+    constructor(operation, timeout) {
+        super(`Operation "${operation}" timed out after ${timeout}ms`);
+        this.name = "TimeoutError";
+        this.operation = operation;
+        this.timeout = timeout;
+    }
+}
+
+// ============================================================================
+// Lifecycle events emitted by the framework
+// ============================================================================
+// Object.freeze() makes this a read-only list of valid event names
+// Subscribers use these constants instead of typing strings by hand
+// Payload each event receives:
+//   test:start → { test, config }          test was created, hooks not yet run
+//   step:start → { test, number, description }
+//   step:end   → { test, step }            step = recorded step result
+//   step:retry → { test, attempt, maxAttempts, status, duration, error?, nextDelay? }
+//                                          one per attempt of a retried action
+//   test:end   → { test }                  test has duration and final status
+//                                          (PASSED, FAILED or SKIPPED)
+//   run:end    → { results, summary }      summary = { total, passed, failed, skipped, passRate }
+const EVENTS = Object.freeze({
+    TEST_START: "test:start",
+    STEP_START: "step:start",
+    STEP_END: "step:end",
+    STEP_RETRY: "step:retry",
+    TEST_END: "test:end",
+    RUN_END: "run:end"
+});
+
+// ============================================================================
+// Default subscriber: console reporter
+// ============================================================================
+// A reporter is a plain object whose keys are event names and whose values
+// are handler functions. The framework knows nothing about console output -
+// this object is simply the subscriber that is registered by default.
+const consoleReporter = {
+    [EVENTS.TEST_START]: ({ test, config }) => {
+        // "\n" creates a blank line for visual separation
+        // "═".repeat(60) creates a string of 60 double-line characters
+        console.log(`\n${"═".repeat(60)}`);
+        console.log(`🚀 STARTING TEST: ${test.name}`);
+        console.log(`   Environment: ${config.environment}`);
+        console.log(`   Browser: ${config.browser}`);
+        console.log(`${"═".repeat(60)}`);
+    },
+    
+    [EVENTS.STEP_START]: ({ number, description }) => {
+        console.log(`\n📝 Step ${number}: ${description}`);
+    },
+    
+    [EVENTS.STEP_END]: ({ step }) => {
+        if (step.passed) {
+            console.log(`   ✅ PASSED`);
+        } else if (step.error) {
+            // The action threw, rejected or timed out
+            console.log(`   💥 ${step.timedOut ? "TIMEOUT" : "ERROR"}: ${step.error}`);
+        } else {
+            // The action returned success: false
+            // || operator provides default message if none exists
+            console.log(`   ❌ FAILED: ${step.message || "Step failed"}`);
+        }
+    },
+    
+    [EVENTS.STEP_RETRY]: ({ attempt, maxAttempts, status, error, nextDelay }) => {
+        // Only failed attempts are interesting; the passing one shows up as step:end
+        if (status === "failed") {
+            const next = nextDelay ? ` - retrying in ${Math.round(nextDelay)}ms` : "";
+            console.log(`   🔁 Attempt ${attempt}/${maxAttempts} failed: ${error.message}${next}`);
+        }
+    },
+    
+    [EVENTS.TEST_END]: ({ test }) => {
+        // .filter() creates a new array with only passed steps
+        // Then .length gives us the count of passed steps
+        const passedSteps = test.steps.filter(step => step.passed).length;
+        const totalSteps = test.steps.length;
+        // A skipped test may have no steps at all
+        const passRate = totalSteps > 0 ? ((passedSteps / totalSteps) * 100).toFixed(1) : "0.0";
+        
+        console.log(`\n${"═".repeat(60)}`);
+        console.log(`📊 TEST COMPLETE: ${test.name}`);
+        console.log(`${"═".repeat(60)}`);
+        
+        // List all test steps with their status
+        test.steps.forEach(step => {
+            const status = step.passed ? "✅" : "❌";
+            console.log(`${status} Step ${step.number}: ${step.description}`);
+        });
+        
+        // Different separator for visual hierarchy
+        console.log(`\n${"─".repeat(60)}`);
+        console.log(`RESULTS: ${passedSteps}/${totalSteps} steps passed (${passRate}%)`);
+        console.log(`DURATION: ${test.duration.toFixed(2)} seconds`);
+        if (test.status === "SKIPPED") {
+            console.log(`STATUS: SKIPPED ⏭️  (${test.skipReason})`);
+        } else {
+            console.log(`STATUS: ${test.status === "PASSED" ? "PASSED ✅" : "FAILED ❌"}`);
+        }
+        console.log(`${"═".repeat(60)}\n`);
+    },
+    
+    [EVENTS.RUN_END]: ({ results, summary }) => {
+        // Guard clause: check if any tests have been run
+        if (summary.total === 0) {
+            console.log("No tests have been run yet.");
+            return;
+        }
+        
+        console.log(`\n${"⭐".repeat(60)}`);
+        console.log(`🏁 TEST EXECUTION SUMMARY`);
+        console.log(`${"⭐".repeat(60)}`);
+        
+        // index + 1 for human-readable numbering (1, 2, 3 instead of 0, 1, 2)
+        results.forEach((test, index) => {
+            const statusIcon = { PASSED: "✅", SKIPPED: "⏭️ " }[test.status] || "❌";
+            console.log(`${statusIcon} ${index + 1}. ${test.name} - ${test.duration.toFixed(2)}s`);
+        });
+        
+        console.log(`\n${"─".repeat(60)}`);
+        console.log(`📈 SUMMARY METRICS:`);
+        console.log(`   Total Tests: ${summary.total}`);
+        console.log(`   Passed: ${summary.passed}`);
+        console.log(`   Failed: ${summary.failed}`);
+        console.log(`   Skipped: ${summary.skipped}`);
+        console.log(`   Pass Rate: ${summary.passRate}%`);
+        console.log(`${"⭐".repeat(60)}\n`);
+    }
+};
+
+// ============================================================================
+// File subscriber: JUnit XML reporter
+// ============================================================================
+// CI servers (Jenkins, GitLab) read JUnit XML to show test results and trends
+// createJUnitReporter() returns a reporter object like consoleReporter above,
+// but it only listens to run:end and writes every archived test to a file:
+//   <testsuites> → one <testsuite> per run → one <testcase> per test
+//   failed steps become the <failure> message, duration becomes time=""
+//   a step that threw or timed out (or a failing hook) → <error> instead,
+//   the same ❌ / 💥 split the console reporter makes
+//   skipTest() → <skipped message="reason"/>
+
+// Characters with special meaning in XML must be escaped inside text/attributes
+// Copy of escapeXml in typescript/day-09 test-automation-framework.ts - that
+// one is the reference (documented there); the demo scripts don't share modules
+const escapeXml = value => String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const createJUnitReporter = (filePath = "results/junit.xml", suiteName = "TestFramework") => ({
+    [EVENTS.RUN_END]: ({ results, summary }) => {
+        const totalTime = results.reduce((sum, test) => sum + test.duration, 0);
+        
+        // JUnit counts errors apart from failures: failures + errors = failed tests
+        const isError = test => test.status === "FAILED" && test.steps.some(step => !step.passed && step.error);
+        const errors = results.filter(isError).length;
+        const failures = summary.failed - errors;
+        
+        const testCases = results.map(test => {
+            const attrs = `name="${escapeXml(test.name)}" classname="${escapeXml(suiteName)}" time="${test.duration.toFixed(3)}"`;
+            if (test.status === "PASSED") return `    <testcase ${attrs}/>`;
+            if (test.status === "SKIPPED") {
+                return [
+                    `    <testcase ${attrs}>`,
+                    `      <skipped message="${escapeXml(test.skipReason)}"/>`,
+                    `    </testcase>`
+                ].join("\n");
+            }
+            
+            // Every failed step (including hook failures) goes into the failure body
+            const failedSteps = test.steps.filter(step => !step.passed);
+            const message = failedSteps
+                .map(step => `Step ${step.number}: ${step.description} - ${step.error || step.message || "Step failed"}`)
+                .join("\n");
+            const element = isError(test) ? "error" : "failure";
+            // The message attribute is what CI shows inline, so it carries the error itself
+            const firstFailure = failedSteps[0];
+            const summaryMessage = firstFailure?.error || firstFailure?.message || "Test failed";
+            return [
+                `    <testcase ${attrs}>`,
+                `      <${element} message="${escapeXml(summaryMessage)}">${escapeXml(message)}</${element}>`,
+                `    </testcase>`
+            ].join("\n");
+        });
+        
+        const counts = `tests="${summary.total}" failures="${failures}" errors="${errors}" skipped="${summary.skipped}"`;
+        const xml = [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<testsuites ${counts} time="${totalTime.toFixed(3)}">`,
+            `  <testsuite name="${escapeXml(suiteName)}" ${counts} time="${totalTime.toFixed(3)}" timestamp="${new Date().toISOString()}">`,
+            ...testCases,
+            `  </testsuite>`,
+            `</testsuites>`
+        ].join("\n");
+        
+        // recursive: true → create results/ if needed, no error if it exists
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, xml + "\n");
+        console.log(`🧾 JUnit report written: ${filePath}`);
+    }
+});
+
+// ============================================================================
+// File subscriber: self-contained HTML report
+// ============================================================================
+// One offline .html file (inline CSS/JS, no CDN) that can be opened from a
+// CI artifact or attached to a ticket. Contents:
+//   - pass/fail donut (SVG circles with stroke-dasharray)
+//   - one table per suite (startTest(name, { suite }))
+//   - click a test → drill down into its steps, error stacks, screenshot links
+//   - dropdowns to filter by status, tag and browser (runs in the browser)
+// escapeXml above is reused - HTML needs the same five escapes
+
+// Donut chart: each slice is a circle whose dash length = its share
+// r=15.915 makes the circumference 100, so percentages map directly
+const renderDonut = (passed, failed) => {
+    const total = passed + failed || 1;
+    const passPct = (passed / total) * 100;
+    return `<svg viewBox="0 0 42 42" width="160" height="160" role="img" aria-label="${passed} passed, ${failed} failed">
+      <circle cx="21" cy="21" r="15.915" fill="none" stroke="#e74c3c" stroke-width="6"/>
+      <circle cx="21" cy="21" r="15.915" fill="none" stroke="#2ecc71" stroke-width="6"
+        stroke-dasharray="${passPct} ${100 - passPct}" stroke-dashoffset="25"/>
+      <text x="21" y="23" text-anchor="middle" font-size="6">${Math.round(passPct)}%</text>
+    </svg>`;
+};
+
+// Screenshot paths are relative to the working directory, but the browser
+// resolves href relative to the report file - rewrite them for reportDir
+// URLs (http:, file:, data:) are left alone; "/" separators also on Windows
+const screenshotHref = (screenshotPath, reportDir) => {
+    // "C:\..." looks like a URL scheme too, so absolute paths are checked first
+    const isUrl = !path.isAbsolute(screenshotPath) && /^[a-z][a-z0-9+.-]*:/i.test(screenshotPath);
+    if (isUrl) return screenshotPath;
+    return path.relative(reportDir, path.resolve(screenshotPath)).split(path.sep).join("/");
+};
+
+// Step rows shown when a test is expanded
+// Failed steps show the message/error, the stack (collapsed) and a screenshot link
+const renderSteps = (steps, reportDir) => steps.map(step => `
+          <tr class="${step.passed ? "pass" : "fail"}">
+            <td>${step.number}</td>
+            <td>${escapeXml(step.description)}</td>
+            <td>${step.passed ? "✅" : step.timedOut ? "⏱️ TIMEOUT" : "❌"}</td>
+            <td>
+              ${step.passed ? "" : escapeXml(step.error || step.message || "Step failed")}
+              ${step.stack ? `<details><summary>Stack</summary><pre>${escapeXml(step.stack)}</pre></details>` : ""}
+              ${step.screenshotPath ? `<a href="${escapeXml(screenshotHref(step.screenshotPath, reportDir))}">📸 ${escapeXml(step.screenshotPath)}</a>` : ""}
+            </td>
+          </tr>`).join("");
+
+const createHtmlReporter = (filePath = "results/report.html", title = "Test Report") => ({
+    [EVENTS.RUN_END]: ({ results, summary }) => {
+        // Group tests by suite name, keeping first-seen order
+        const suites = new Map();
+        results.forEach(test => {
+            const suite = test.suite || "Default";
+            if (!suites.has(suite)) suites.set(suite, []);
+            suites.get(suite).push(test);
+        });
+        
+        // Filter options come from the data itself
+        const unique = values => [...new Set(values)].sort();
+        const options = values => values.map(v => `<option value="${escapeXml(v)}">${escapeXml(v)}</option>`).join("");
+        const tags = unique(results.flatMap(test => test.tags || []));
+        const browsers = unique(results.map(test => test.browser).filter(Boolean));
+        
+        const suiteTables = [...suites].map(([suiteName, tests]) => `
+    <section class="suite">
+      <h2>${escapeXml(suiteName)} <small>${tests.filter(t => t.status === "PASSED").length}/${tests.length} passed</small></h2>
+      <table>
+        <thead><tr><th>Test</th><th>Status</th><th>Browser</th><th>Tags</th><th>Duration</th></tr></thead>
+        ${tests.map(test => `
+        <tbody class="test" data-status="${test.status}" data-browser="${escapeXml(test.browser || "")}"
+               data-tags="${escapeXml((test.tags || []).join(" "))}">
+          <tr class="summary ${{ PASSED: "pass", SKIPPED: "skip" }[test.status] || "fail"}" onclick="this.parentElement.classList.toggle('open')">
+            <td>▸ ${escapeXml(test.name)}</td>
+            <td>${test.status}</td>
+            <td>${escapeXml(test.browser || "")}</td>
+            <td>${(test.tags || []).map(tag => `<span class="tag">@${escapeXml(tag)}</span>`).join(" ")}</td>
+            <td>${test.duration.toFixed(2)}s</td>
+          </tr>
+          <tr class="steps"><td colspan="5">
+            <table>
+              <thead><tr><th>#</th><th>Step</th><th>Result</th><th>Details</th></tr></thead>
+              ${renderSteps(test.steps, path.dirname(path.resolve(filePath)))}
+            </table>
+          </td></tr>
+        </tbody>`).join("")}
+      </table>
+    </section>`).join("");
+        
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeXml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    header { display: flex; gap: 2rem; align-items: center; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 1rem; }
+    th, td { text-align: left; padding: .4rem .6rem; border-bottom: 1px solid #eee; vertical-align: top; }
+    tr.summary { cursor: pointer; }
+    tr.pass td:first-child { border-left: 4px solid #2ecc71; }
+    tr.fail td:first-child { border-left: 4px solid #e74c3c; }
+    tr.skip td:first-child { border-left: 4px solid #bbb; }
+    tr.steps { display: none; background: #fafafa; }
+    tbody.open tr.steps { display: table-row; }
+    .tag { background: #eef; border-radius: 4px; padding: 0 .3rem; font-size: .85em; }
+    pre { white-space: pre-wrap; font-size: .8em; }
+    .filters select { margin-right: 1rem; }
+  </style>
+</head>
+<body>
+  <header>
+    ${renderDonut(summary.passed, summary.failed)}
+    <div>
+      <h1>${escapeXml(title)}</h1>
+      <p>Total: ${summary.total} | Passed: ${summary.passed} | Failed: ${summary.failed} | Skipped: ${summary.skipped} | Pass Rate: ${summary.passRate}%</p>
+      <p>Generated: ${new Date().toISOString()}</p>
+    </div>
+  </header>
+  <div class="filters">
+    <label>Status <select id="status"><option value="">All</option>${options(["PASSED", "FAILED", "SKIPPED"])}</select></label>
+    <label>Tag <select id="tag"><option value="">All</option>${options(tags)}</select></label>
+    <label>Browser <select id="browser"><option value="">All</option>${options(browsers)}</select></label>
+  </div>
+  ${suiteTables}
+  <script>
+    // Hide tests that don't match every selected filter
+    const filters = ["status", "tag", "browser"].map(id => document.getElementById(id));
+    const applyFilters = () => {
+      const [status, tag, browser] = filters.map(select => select.value);
+      document.querySelectorAll("tbody.test").forEach(test => {
+        const visible = (!status || test.dataset.status === status)
+          && (!tag || test.dataset.tags.split(" ").includes(tag))
+          && (!browser || test.dataset.browser === browser);
+        test.style.display = visible ? "" : "none";
+      });
+    };
+    filters.forEach(select => select.addEventListener("change", applyFilters));
+  </script>
+</body>
+</html>
+`;
+        
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, html);
+        console.log(`🌐 HTML report written: ${filePath}`);
+    }
+});
+
 // ============================================================================
 // Simple test framework class
 // ============================================================================
@@ -31,6 +398,14 @@ class TestFramework {
             // Use provided browser or default to "chrome"
             browser: config.browser || "chrome",
             
+            // Reporters subscribed at construction time
+            // Defaults to the console reporter; pass [] for a silent framework
+            reporters: config.reporters || [consoleReporter],
+            
+            // Maximum time (ms) a single step may take before it fails
+            // Can be overridden per step: logStep(description, action, { timeout })
+            stepTimeout: config.stepTimeout || 30000,
+            
             // Spread operator (...config) copies any additional properties
             // This allows users to pass extra config options we didn't explicitly define
             // Must come last to avoid being overwritten by defaults above
@@ -48,6 +423,83 @@ class TestFramework {
         // Tracks the currently running test
         // null when no test is active, object when test is running
         this.currentTest = null;
+        
+        // Event subscribers: event name → array of handler functions
+        // Map gives us a clean lookup by event name (see EVENTS above)
+        this.listeners = new Map();
+        this.config.reporters.forEach(reporter => this.addReporter(reporter));
+        
+        // Per-test hooks registered with beforeEach() / afterEach()
+        // Arrays so several hooks can be registered; they run in order
+        this.hooks = {
+            beforeEach: [],
+            afterEach: []
+        };
+    }
+    
+    // ========================================================================
+    // METHODS: on() / off() / emit() - Lifecycle event bus
+    // ========================================================================
+    // on() subscribes a handler to one event; any number of handlers allowed
+    // off() removes a handler that was previously subscribed
+    // Return "this" so subscriptions can be chained
+    on(event, handler) {
+        if (!Object.values(EVENTS).includes(event)) {
+            throw new Error(`Unknown event "${event}" - expected one of: ${Object.values(EVENTS).join(", ")}`);
+        }
+        if (!this.listeners.has(event)) this.listeners.set(event, []);
+        this.listeners.get(event).push(handler);
+        return this;
+    }
+    
+    off(event, handler) {
+        const handlers = this.listeners.get(event) || [];
+        this.listeners.set(event, handlers.filter(h => h !== handler));
+        return this;
+    }
+    
+    // addReporter() subscribes every handler of a reporter object at once
+    // A reporter only needs keys for the events it cares about
+    addReporter(reporter) {
+        Object.entries(reporter).forEach(([event, handler]) => this.on(event, handler));
+        return this;
+    }
+    
+    // emit() calls handlers in subscription order and awaits async ones
+    // (e.g. a reporter writing a file). A broken reporter must never fail
+    // a test, so handler errors are logged and swallowed.
+    async emit(event, payload) {
+        for (const handler of this.listeners.get(event) || []) {
+            try {
+                await handler(payload);
+            } catch (error) {
+                console.error(`⚠️  Reporter failed on "${event}": ${error.message}`);
+            }
+        }
+    }
+    
+    // retryTelemetry() returns an onAttempt callback for createRetryHandler
+    // (day-05 modern-function.js) that forwards each attempt as step:retry:
+    //   createRetryHandler({ onAttempt: framework.retryTelemetry() })
+    retryTelemetry() {
+        return attempt => this.emit(EVENTS.STEP_RETRY, { test: this.currentTest, ...attempt });
+    }
+    
+    // ========================================================================
+    // METHODS: beforeEach() / afterEach() - Register per-test hooks
+    // ========================================================================
+    // beforeEach hooks run inside startTest() once the test is active
+    // afterEach hooks run inside endTest() before the result is archived
+    // Hooks may be async; each receives the current test object
+    // Return "this" so registrations can be chained
+    beforeEach(hook) {
+        this.hooks.beforeEach.push(hook);
+        return this;
+    }
+    
+    afterEach(hook) {
+        this.hooks.afterEach.push(hook);
+        return this;
     }
     
     // ========================================================================
@@ -55,32 +507,31 @@ class TestFramework {
     // ========================================================================
     // Methods are functions that belong to a class
     // They can access the instance's properties using "this"
-    startTest(testName) {
+    // async: beforeEach hooks may return Promises, so callers must await startTest()
+    async startTest(testName, options = {}) {
         // Create a new test object to track this test's execution
         // This becomes the "current test" that other methods will reference
         this.currentTest = {
             name: testName,              // Name of the test
+            suite: options.suite,        // Optional grouping for reports (e.g. "Checkout")
+            tags: options.tags || [],    // Optional labels, e.g. ["smoke", "critical"]
+            browser: this.config.browser,
             steps: [],                   // Array to collect test steps
             startTime: Date.now(),       // Timestamp when test started (milliseconds)
             status: "RUNNING"            // Initial status
         };
         
         // ====================================================================
-        // Display test header with visual formatting
+        // Announce the test to subscribers (console reporter prints a header)
         // ====================================================================
-        
-        // "\n" creates a blank line for visual separation
-        console.log(`\n${"═".repeat(60)}`);
-        // "═".repeat(60) creates a string of 60 double-line characters
-        
-        console.log(`🚀 STARTING TEST: ${testName}`);
-        
-        // Display configuration info using this.config
         // "this" gives us access to the instance's properties
-        console.log(`   Environment: ${this.config.environment}`);
-        console.log(`   Browser: ${this.config.browser}`);
+        await this.emit(EVENTS.TEST_START, { test: this.currentTest, config: this.config });
         
-        console.log(`${"═".repeat(60)}`);
+        // ====================================================================
+        // Run beforeEach hooks now that the test is active
+        // ====================================================================
+        // A failing hook is recorded as a failed step so it shows in the report
+        await this._runHooks("beforeEach");
     }
     
     // ========================================================================
@@ -89,7 +540,9 @@ class TestFramework {
     // Parameters:
     //   - description: string describing what this step does
     //   - action: optional function to execute (callback pattern)
-    logStep(description, action) {
+    //             may be sync or async - a returned Promise is awaited
+    //   - options: { timeout } overrides config.stepTimeout for this step
+    async logStep(description, action, options = {}) {
         // ====================================================================
         // GUARD CLAUSE: Ensure a test is active before logging steps
         // ====================================================================
@@ -99,24 +552,31 @@ class TestFramework {
             return; // Exit method early (defensive programming)
         }
         
+        // Skipped test → its remaining steps don't run
+        if (this.currentTest.status === "SKIPPED") return;
+        
         // Calculate step number based on how many steps we've already logged
         // .length gives us the count, +1 because we're adding a new step
         const stepNumber = this.currentTest.steps.length + 1;
         
-        console.log(`\n📝 Step ${stepNumber}: ${description}`);
+        await this.emit(EVENTS.STEP_START, { test: this.currentTest, number: stepNumber, description });
+        
+        // Filled in by either the try or the catch branch below
+        let stepResult;
         
         // ====================================================================
         // TRY-CATCH: Execute the action and handle any errors gracefully
         // ====================================================================
         try {
-            // Execute the action function if provided
-            // If no action provided, default to success
-            // Ternary operator: condition ? ifTrue : ifFalse
-            // action() calls the function that was passed as a parameter (callback)
-            const result = action ? action() : { success: true };
+            // Execute the action function if provided, racing it against the timeout
+            // await waits for async actions to settle before we judge the step
+            // ?? treats steps that return nothing (e.g. await page.click()) as success
+            const timeout = options.timeout || this.config.stepTimeout;
+            const result = (action ? await this._runWithTimeout(action, description, timeout) : undefined)
+                ?? { success: true };
             
             // Create a step result object combining step info with action result
-            const stepResult = {
+            stepResult = {
                 number: stepNumber,
                 description,
                 // Check if action failed (result.success === false)
@@ -132,53 +592,110 @@ class TestFramework {
             this.currentTest.steps.push(stepResult);
             
             // ================================================================
-            // Log step outcome and update test status if needed
+            // Update test status if the step failed
             // ================================================================
-            if (stepResult.passed) {
-                console.log(`   ✅ PASSED`);
-            } else {
-                // Step failed - log details and mark entire test as failed
-                console.log(`   ❌ FAILED: ${stepResult.message || "Step failed"}`);
-                // || operator provides default message if none exists
-                
+            if (!stepResult.passed) {
                 // Update the test's overall status to FAILED
                 // Once failed, it stays failed even if later steps pass
                 this.currentTest.status = "FAILED";
             }
             
-            // Return the step result so caller can inspect it if needed
-            return stepResult;
-            
         } catch (error) {
             // ================================================================
             // CATCH BLOCK: Handle unexpected errors during step execution
             // ================================================================
-            // If action() throws an error, we catch it here instead of crashing
-            console.log(`   💥 ERROR: ${error.message}`);
+            // If action() throws (or its Promise rejects, or it times out),
+            // we catch it here instead of crashing
             
             // Record the error as a failed step
-            this.currentTest.steps.push({
+            stepResult = {
                 number: stepNumber,
                 description,
                 passed: false,
-                error: error.message // Capture error details
-            });
+                error: error.message, // Capture error details
+                stack: error.stack,   // Full stack for the HTML report drill-down
+                timedOut: error instanceof TimeoutError
+            };
+            this.currentTest.steps.push(stepResult);
             
             // Mark test as failed
             this.currentTest.status = "FAILED";
-            
-            // Return failure info
-            return { passed: false, error: error.message };
+        }
+        
+        // Tell subscribers how the step went (console reporter prints the outcome)
+        await this.emit(EVENTS.STEP_END, { test: this.currentTest, step: stepResult });
+        
+        // Return the step result so caller can inspect it if needed
+        return stepResult;
+    }
+    
+    // ========================================================================
+    // METHOD: skipTest() - Mark the current test as skipped
+    // ========================================================================
+    // For tests that can't run here (feature flag off, wrong browser, ...)
+    // Later logStep() calls are ignored; endTest() still archives the test
+    // so reporters show it as SKIPPED with the reason
+    skipTest(reason = "Skipped") {
+        if (!this.currentTest) {
+            console.log("⚠️  No active test - call startTest() first");
+            return;
+        }
+        this.currentTest.status = "SKIPPED";
+        this.currentTest.skipReason = reason;
+    }
+    
+    // ========================================================================
+    // PRIVATE METHOD: _runWithTimeout() - Run an action with a time limit
+    // ========================================================================
+    // Promise.race settles with whichever finishes first: the action or the timer
+    // Promise.resolve().then(action) turns sync results and sync throws into a Promise
+    // finally() clears the timer so a finished step doesn't keep Node alive
+    _runWithTimeout(action, description, timeout) {
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new TimeoutError(description, timeout)), timeout);
+        });
+        
+        return Promise.race([Promise.resolve().then(action), timeoutPromise])
+            .finally(() => clearTimeout(timer));
+    }
+    
+    // ========================================================================
+    // PRIVATE METHOD: _runHooks() - Run every hook of one type in order
+    // ========================================================================
+    // Hooks share the step timeout; a failure becomes a failed step named
+    // after the hook (e.g. "beforeEach hook") and marks the test as FAILED
+    async _runHooks(type) {
+        for (const hook of this.hooks[type]) {
+            try {
+                await this._runWithTimeout(() => hook(this.currentTest), `${type} hook`, this.config.stepTimeout);
+            } catch (error) {
+                const stepResult = {
+                    number: this.currentTest.steps.length + 1,
+                    description: `${type} hook`,
+                    passed: false,
+                    error: error.message,
+                    stack: error.stack,
+                    timedOut: error instanceof TimeoutError
+                };
+                this.currentTest.steps.push(stepResult);
+                this.currentTest.status = "FAILED";
+                await this.emit(EVENTS.STEP_END, { test: this.currentTest, step: stepResult });
+            }
         }
     }
     
     // ========================================================================
     // METHOD: endTest() - Finalize current test and generate report
     // ========================================================================
-    endTest() {
+    // async: afterEach hooks run first and may return Promises
+    async endTest() {
         // Guard clause: nothing to end if no test is running
         if (!this.currentTest) return;
         
+        // Run afterEach hooks (cleanup) before the test is finalized
+        await this._runHooks("afterEach");
+        
         // ====================================================================
         // Calculate test duration
         // ====================================================================
@@ -209,112 +726,44 @@ class TestFramework {
         this.testResults.push({ ...this.currentTest });
         
         // ====================================================================
-        // Generate and display the test report
+        // Tell subscribers the test is finished
         // ====================================================================
-        // Call private method (indicated by _ prefix convention)
-        this._generateReport(this.currentTest);
+        // The console reporter prints the per-test report from this event
+        await this.emit(EVENTS.TEST_END, { test: this.currentTest });
         
         // Clear the current test (no test is active now)
         this.currentTest = null;
     }
     
     // ========================================================================
-    // PRIVATE METHOD: _generateReport() - Format and display test results
-    // ========================================================================
-    // Convention: _ prefix indicates this is a private/internal method
-    // It's meant to be called only by other methods in this class, not externally
-    _generateReport(test) {
-        // ====================================================================
-        // Calculate test statistics
-        // ====================================================================
-        
-        // .filter() creates a new array with only passed steps
-        // Then .length gives us the count of passed steps
-        const passedSteps = test.steps.filter(step => step.passed).length;
-        
-        const totalSteps = test.steps.length;
-        
-        // Calculate pass rate as percentage
-        const passRate = ((passedSteps / totalSteps) * 100).toFixed(1);
-        
-        // ====================================================================
-        // Display formatted report header
-        // ====================================================================
-        console.log(`\n${"═".repeat(60)}`);
-        console.log(`📊 TEST COMPLETE: ${test.name}`);
-        console.log(`${"═".repeat(60)}`);
-        
-        // ====================================================================
-        // List all test steps with their status
-        // ====================================================================
-        // .forEach() executes a function for each step in the array
-        test.steps.forEach(step => {
-            // Choose icon based on pass/fail
-            const status = step.passed ? "✅" : "❌";
-            console.log(`${status} Step ${step.number}: ${step.description}`);
-        });
-        
-        // ====================================================================
-        // Display summary statistics
-        // ====================================================================
-        console.log(`\n${"─".repeat(60)}`); // Different separator for visual hierarchy
-        console.log(`RESULTS: ${passedSteps}/${totalSteps} steps passed (${passRate}%)`);
-        console.log(`DURATION: ${test.duration.toFixed(2)} seconds`);
-        console.log(`STATUS: ${test.status === "PASSED" ? "PASSED ✅" : "FAILED ❌"}`);
-        console.log(`${"═".repeat(60)}\n`);
-    }
-    
-    // ========================================================================
-    // METHOD: generateSummary() - Display summary of all tests run
+    // METHOD: generateSummary() - Summarize all tests run and emit run:end
     // ========================================================================
     // This provides an overview after running multiple tests
-    generateSummary() {
-        // Guard clause: check if any tests have been run
-        if (this.testResults.length === 0) {
-            console.log("No tests have been run yet.");
-            return;
-        }
-        
+    // Returns the summary object so callers can use it without a reporter
+    async generateSummary() {
         // ====================================================================
         // Calculate overall statistics across all tests
         // ====================================================================
+        const total = this.testResults.length;
         
-        const totalTests = this.testResults.length;
+        // Count tests per final status using .filter()
+        // .filter() keeps only tests where the callback returns true
+        const countStatus = status => this.testResults.filter(test => test.status === status).length;
+        const passed = countStatus("PASSED");
+        const failed = countStatus("FAILED");
+        const skipped = countStatus("SKIPPED");
         
-        // Count how many tests passed using .filter()
-        // .filter() keeps only tests where status === "PASSED"
-        const passedTests = this.testResults.filter(test => test.status === "PASSED").length;
+        // Calculate overall pass rate over executed tests - skipped ones
+        // neither pass nor fail (guard against dividing by zero)
+        const executed = passed + failed;
+        const passRate = executed > 0 ? ((passed / executed) * 100).toFixed(1) : "0.0";
         
-        // Calculate overall pass rate
-        const passRate = ((passedTests / totalTests) * 100).toFixed(1);
-        
-        // ====================================================================
-        // Display summary header
-        // ====================================================================
-        console.log(`\n${"⭐".repeat(60)}`);
-        console.log(`🏁 TEST EXECUTION SUMMARY`);
-        console.log(`${"⭐".repeat(60)}`);
+        const summary = { total, passed, failed, skipped, passRate };
         
-        // ====================================================================
-        // List all tests with their outcomes
-        // ====================================================================
-        // .forEach() with both element and index parameters
-        this.testResults.forEach((test, index) => {
-            const statusIcon = test.status === "PASSED" ? "✅" : "❌";
-            // index + 1 for human-readable numbering (1, 2, 3 instead of 0, 1, 2)
-            console.log(`${statusIcon} ${index + 1}. ${test.name} - ${test.duration.toFixed(2)}s`);
-        });
+        // Subscribers decide what to do with it (console reporter prints it)
+        await this.emit(EVENTS.RUN_END, { results: this.testResults, summary });
         
-        // ====================================================================
-        // Display aggregate metrics
-        // ====================================================================
-        console.log(`\n${"─".repeat(60)}`);
-        console.log(`📈 SUMMARY METRICS:`);
-        console.log(`   Total Tests: ${totalTests}`);
-        console.log(`   Passed: ${passedTests}`);
-        console.log(`   Failed: ${totalTests - passedTests}`);
-        console.log(`   Pass Rate: ${passRate}%`);
-        console.log(`${"⭐".repeat(60)}\n`);
+        return summary;
     }
 }
 
@@ -333,94 +782,174 @@ const framework = new TestFramework({
     browser: "chrome"
 });
 // Now "framework" is an instance of TestFramework with its own state
+// The console reporter is subscribed by default (config.reporters)
 
 // ============================================================================
-// Step 2: Run Test 1 - User Login Flow
+// Step 1b: Subscribe an extra reporter to lifecycle events
 // ============================================================================
-// Call the startTest() method on our framework instance
-framework.startTest("User Login Flow");
-
-// ----------------------------------------------------------------------------
-// Test Step 1: Navigate to login page
-// ----------------------------------------------------------------------------
-// logStep() takes a description and a callback function
-// The callback is executed and its return value determines pass/fail
-framework.logStep("Navigate to login page", () => {
-    // This is the callback function - it runs when logStep executes it
-    console.log("   → Opening browser");
-    console.log("   → Navigating to /login");
-    
-    // Return an object indicating success
-    // In real automation, you'd check actual browser state here
-    return { success: true };
-});
-
-// ----------------------------------------------------------------------------
-// Test Step 2: Enter credentials
-// ----------------------------------------------------------------------------
-framework.logStep("Enter credentials", () => {
-    console.log("   → Typing email: user@test.com");
-    console.log("   → Typing password: ********");
-    return { success: true };
-});
-
-// ----------------------------------------------------------------------------
-// Test Step 3: Click login button
-// ----------------------------------------------------------------------------
-framework.logStep("Click login button", () => {
-    console.log("   → Clicking #login-button");
-    return { success: true };
-});
+// Any number of subscribers can listen alongside the console reporter
+// This one collects structured results, e.g. for a dashboard upload
+const dashboardRows = [];
+framework
+    .on(EVENTS.TEST_END, ({ test }) => {
+        dashboardRows.push({
+            name: test.name,
+            status: test.status,
+            duration: test.duration,
+            failedSteps: test.steps.filter(step => !step.passed).length
+        });
+    })
+    .on(EVENTS.RUN_END, ({ summary }) => {
+        console.log("📡 Dashboard payload:", JSON.stringify({ summary, tests: dashboardRows }));
+    });
 
-// ----------------------------------------------------------------------------
-// Test Step 4: Verify dashboard loads (simulated failure)
-// ----------------------------------------------------------------------------
-framework.logStep("Verify dashboard loads", () => {
-    console.log("   → Checking page title");
-    
-    // Simulate a failure for demonstration purposes
-    // Return success: false with an error message
-    return { success: false, message: "User menu not found" };
-});
+// JUnit XML for CI - written once generateSummary() emits run:end
+framework.addReporter(createJUnitReporter("results/junit-framework.xml", "E-commerce Smoke"));
 
-// ----------------------------------------------------------------------------
-// End Test 1: Finalize and generate report
-// ----------------------------------------------------------------------------
-framework.endTest();
-// This calculates duration, determines final status, archives results,
-// and displays the test report
+// Offline HTML report with per-suite tables, step drill-down and filters
+framework.addReporter(createHtmlReporter("results/report.html", "E-commerce Smoke"));
 
 // ============================================================================
-// Step 3: Run Test 2 - Product Search Test
+// Step 2: Register per-test hooks
 // ============================================================================
-framework.startTest("Product Search Test");
-
-framework.logStep("Navigate to homepage", () => {
-    console.log("   → Loading home page");
-    return { success: true };
-});
-
-framework.logStep("Enter search term", () => {
-    console.log("   → Typing: 'wireless headphones'");
-    return { success: true };
+// beforeEach/afterEach run around every test started on this instance
+// Hooks can be async - the framework awaits them before continuing
+framework.beforeEach(async test => {
+    console.log(`   ↪ beforeEach: launching fresh browser context for "${test.name}"`);
 });
 
-framework.logStep("Verify results", () => {
-    console.log("   → Checking results > 0");
-    return { success: true };
+framework.afterEach(async test => {
+    console.log(`   ↩ afterEach: closing browser context for "${test.name}"`);
 });
 
-framework.endTest();
+// Helper that returns a Promise resolving after ms milliseconds
+// Simulates the time a real page or API call takes
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 // ============================================================================
-// Step 4: Generate summary of all tests
+// Step 3: Run the tests
 // ============================================================================
-// Call generateSummary() to see aggregate results across all tests
-framework.generateSummary();
-// This displays:
-// - List of all tests with pass/fail status
-// - Total tests, passed, failed counts
-// - Overall pass rate percentage
+// startTest/logStep/endTest are async, so they must be awaited in order
+// An async IIFE lets us use await at the top level of this script
+(async () => {
+    // ------------------------------------------------------------------------
+    // Test 1 - User Login Flow
+    // ------------------------------------------------------------------------
+    // Call the startTest() method on our framework instance
+    // options.suite groups tests in the HTML report; options.tags drive its filter
+    await framework.startTest("User Login Flow", { suite: "Authentication", tags: ["smoke", "critical"] });
+    
+    // ------------------------------------------------------------------------
+    // Test Step 1: Navigate to login page (async action)
+    // ------------------------------------------------------------------------
+    // logStep() takes a description and a callback function
+    // The callback may return a Promise - logStep waits for it to settle
+    await framework.logStep("Navigate to login page", async () => {
+        // This is the callback function - it runs when logStep executes it
+        console.log("   → Opening browser");
+        await delay(100);
+        console.log("   → Navigating to /login");
+        
+        // Return an object indicating success
+        // In real automation, you'd check actual browser state here
+        return { success: true };
+    });
+    
+    // ------------------------------------------------------------------------
+    // Test Step 2: Enter credentials (sync action still works)
+    // ------------------------------------------------------------------------
+    await framework.logStep("Enter credentials", () => {
+        console.log("   → Typing email: user@test.com");
+        console.log("   → Typing password: ********");
+        return { success: true };
+    });
+    
+    // ------------------------------------------------------------------------
+    // Test Step 3: Click login button (async action returning nothing = pass)
+    // ------------------------------------------------------------------------
+    await framework.logStep("Click login button", async () => {
+        console.log("   → Clicking #login-button");
+        await delay(50);
+    });
+    
+    // ------------------------------------------------------------------------
+    // Test Step 4: Verify dashboard loads (simulated failure)
+    // ------------------------------------------------------------------------
+    await framework.logStep("Verify dashboard loads", async () => {
+        console.log("   → Checking page title");
+        await delay(50);
+        
+        // Simulate a failure for demonstration purposes
+        // Return success: false with an error message
+        // Extra properties (like screenshotPath) are kept on the step result
+        return { success: false, message: "User menu not found", screenshotPath: "screenshots/login-dashboard.png" };
+    });
+    
+    // ------------------------------------------------------------------------
+    // End Test 1: Finalize and generate report
+    // ------------------------------------------------------------------------
+    await framework.endTest();
+    // This runs afterEach hooks, calculates duration, determines final status,
+    // archives results, and displays the test report
+    
+    // ------------------------------------------------------------------------
+    // Test 2 - Product Search Test
+    // ------------------------------------------------------------------------
+    await framework.startTest("Product Search Test", { suite: "Catalog", tags: ["smoke"] });
+    
+    await framework.logStep("Navigate to homepage", async () => {
+        console.log("   → Loading home page");
+        await delay(100);
+        return { success: true };
+    });
+    
+    await framework.logStep("Enter search term", () => {
+        console.log("   → Typing: 'wireless headphones'");
+        return { success: true };
+    });
+    
+    await framework.logStep("Verify results", async () => {
+        console.log("   → Checking results > 0");
+        await delay(50);
+        return { success: true };
+    });
+    
+    await framework.endTest();
+    
+    // ------------------------------------------------------------------------
+    // Test 3 - Order History Test (with a step that times out)
+    // ------------------------------------------------------------------------
+    await framework.startTest("Order History Test", { suite: "Catalog", tags: ["regression"] });
+    
+    // Per-step timeout: this step takes 500ms but is only allowed 200ms
+    // It fails with a TimeoutError instead of hanging the test
+    await framework.logStep("Load order history", async () => {
+        console.log("   → Waiting for /api/orders");
+        await delay(500);
+        return { success: true };
+    }, { timeout: 200 });
+    
+    await framework.endTest();
+    
+    // ------------------------------------------------------------------------
+    // Test 4 - Wishlist Test (skipped: shows up as <skipped/> in JUnit)
+    // ------------------------------------------------------------------------
+    await framework.startTest("Wishlist Test", { suite: "Catalog", tags: ["regression"] });
+    framework.skipTest("Wishlist feature flag is off in staging");
+    await framework.logStep("Open wishlist");   // Ignored - the test is skipped
+    await framework.endTest();
+    
+    // ========================================================================
+    // Step 4: Generate summary of all tests
+    // ========================================================================
+    // Call generateSummary() to see aggregate results across all tests
+    // It emits run:end, which the console reporter prints
+    await framework.generateSummary();
+    // This displays:
+    // - List of all tests with pass/fail status
+    // - Total tests, passed, failed counts
+    // - Overall pass rate percentage
+})();
 
 // ============================================================================
 // KEY CONCEPTS DEMONSTRATED:
@@ -438,7 +967,7 @@ framework.generateSummary();
 // 3. THE "this" KEYWORD:
 //    - Refers to the current instance of the class
 //    - Used to access instance properties: this.config, this.testResults
-//    - Used to call instance methods: this._generateReport()
+//    - Used to call instance methods: this._runHooks()
 //    - Each instance has its own "this" context
 //
 // 4. INSTANCE PROPERTIES (State):
@@ -457,7 +986,7 @@ framework.generateSummary();
 //    - Methods prefixed with _ (underscore)
 //    - Indicates: "internal use only, don't call from outside"
 //    - Not enforced by JavaScript, just a convention
-//    - Example: _generateReport()
+//    - Examples: _runHooks(), _runWithTimeout()
 //
 // 7. ENCAPSULATION:
 //    - Class bundles related data and operations together
@@ -494,6 +1023,20 @@ framework.generateSummary();
 //     - Errors captured and logged
 //     - Test continues even if step fails
 //     - Maintains framework stability
+//     - Custom TimeoutError marks steps that ran too long
+//
+// 12a. LIFECYCLE EVENT BUS:
+//     - The framework emits test:start, step:start, step:end, test:end, run:end
+//     - on(event, handler) subscribes; addReporter({ [event]: handler }) subscribes many
+//     - Console output is just the default subscriber (consoleReporter)
+//     - new TestFramework({ reporters: [] }) runs silently
+//
+// 12b. ASYNC STEPS, HOOKS AND TIMEOUTS:
+//     - startTest(), logStep() and endTest() are async - always await them
+//     - Steps can return Promises (real page/API calls always do)
+//     - beforeEach()/afterEach() register hooks that run around every test
+//     - Promise.race() against a timer enforces config.stepTimeout
+//     - logStep(description, action, { timeout }) overrides it per step
 //
 // 13. ARRAY METHODS USED:
 //     - .push() - add items to array
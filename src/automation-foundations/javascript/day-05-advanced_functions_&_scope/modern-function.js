@@ -143,37 +143,126 @@ log.info(`Custom browser: ${customConfig.browser}`);
 // HIGHER-ORDER FUNCTIONS
 // ==========================================
 
+// SLEEP HELPER - Promise that resolves after ms milliseconds
+// Lets async code actually wait (a loop + log does not pause anything)
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms)); 
+
+// BACKOFF STRATEGIES - How long to wait before retry number N
+// Each strategy receives { attempt, baseDelay, previousDelay } and returns ms
+// attempt = the attempt that just failed (1, 2, 3, ...)
+const BACKOFF_STRATEGIES = { 
+    // Same wait every time: 1000, 1000, 1000
+    fixed: ({ baseDelay }) => baseDelay, 
+    // Grows by baseDelay each time: 1000, 2000, 3000
+    linear: ({ attempt, baseDelay }) => baseDelay * attempt, 
+    // Doubles each time: 1000, 2000, 4000
+    exponential: ({ attempt, baseDelay }) => baseDelay * 2 ** (attempt - 1), 
+    // Random between baseDelay and 3× the previous wait ("decorrelated jitter")
+    // Spreads out retries so many clients don't hammer a server at the same moment
+    decorrelatedJitter: ({ baseDelay, previousDelay }) => 
+        baseDelay + Math.random() * (previousDelay * 3 - baseDelay) 
+}; 
+
 // RETRY HANDLER FACTORY - Function that returns a function
-// Creates reusable retry logic for flaky operations
-// Parameters: maxAttempts (how many tries), delay (wait between tries)
-const createRetryHandler = (maxAttempts = 3, delay = 1000) => { 
+// Creates reusable retry logic for flaky operations (sync or async)
+// Old style still works: createRetryHandler(maxAttempts, delay)
+// New style: createRetryHandler({ ...options })
+//   maxAttempts  - how many tries in total (default 3)
+//   delay        - base wait in ms (default 1000)
+//   backoff      - "fixed" | "linear" | "exponential" | "decorrelatedJitter" | custom function
+//   maxDelay     - cap for a single wait in ms (default 30000)
+//   maxTotalTime - stop retrying once this many ms have passed in total (default: no limit)
+//   retryIf      - error => boolean, return false to fail immediately (e.g. 4xx errors)
+//   onAttempt    - called after every attempt with telemetry (see below)
+// The returned function is async: always await it
+const createRetryHandler = (maxAttemptsOrOptions = 3, delay = 1000) => { 
+    // Support both call styles by turning positional args into options
+    // typeof null is "object" too → null means "all defaults"
+    const options = typeof maxAttemptsOrOptions === "object" 
+        ? maxAttemptsOrOptions ?? {} 
+        : { maxAttempts: maxAttemptsOrOptions, delay }; 
+    const { 
+        maxAttempts = 3, 
+        backoff = "fixed", 
+        maxDelay = 30000, 
+        maxTotalTime = Infinity, 
+        retryIf = () => true, 
+        onAttempt = () => {} 
+    } = options; 
+    const baseDelay = options.delay ?? 1000; 
+    
+    // Resolve strategy name → function (fail fast on typos like "exponentail")
+    const strategy = typeof backoff === "function" ? backoff : BACKOFF_STRATEGIES[backoff]; 
+    if (!strategy) { 
+        throw new Error(`Unknown backoff "${backoff}" - use one of: ${Object.keys(BACKOFF_STRATEGIES).join(", ")}`); 
+    } 
+    
     // Returns a new function that will execute the retry logic
-    return (action) => { 
+    return async (action) => { 
+        const startTime = Date.now(); 
+        const attempts = [];          // Telemetry for every attempt
+        let previousDelay = baseDelay; 
+        let lastError; 
+        
         // Loop through each attempt
         for (let attempt = 1; attempt <= maxAttempts; attempt++) { 
             log.info(`Attempt ${attempt}/${maxAttempts}`); 
-             
+            const attemptStart = Date.now(); 
+            
             try { 
-                // Execute the action (passed as parameter)
-                const result = action(); 
+                // Execute the action (await works for sync actions too)
+                const result = await action(); 
                 // Check if action succeeded (not explicitly false)
-                if (result.success !== false) { 
+                if (result?.success !== false) { 
+                    attempts.push({ attempt, maxAttempts, status: "passed", duration: Date.now() - attemptStart }); 
+                    onAttempt(attempts[attempts.length - 1]); 
                     log.success("Action succeeded!"); 
                     return result;  // Return successful result
                 } 
+                lastError = new Error("Action returned success: false"); 
             } catch (error) { 
                 // Log error but continue to next attempt
                 log.error(`Attempt ${attempt} failed: ${error.message}`); 
+                lastError = error; 
             } 
-             
+            
+            // Decide whether another attempt is allowed
             // Wait before retrying (but not after last attempt)
-            if (attempt < maxAttempts) { 
-                log.info(`Waiting ${delay}ms before retry...`); 
+            const retryable = retryIf(lastError); 
+            const nextDelay = Math.min(maxDelay, strategy({ attempt, baseDelay, previousDelay })); 
+            const outOfTime = Date.now() - startTime + nextDelay > maxTotalTime; 
+            const willRetry = attempt < maxAttempts && retryable && !outOfTime; 
+            
+            attempts.push({ 
+                attempt, 
+                maxAttempts, 
+                status: "failed", 
+                duration: Date.now() - attemptStart, 
+                error: lastError, 
+                nextDelay: willRetry ? nextDelay : null 
+            }); 
+            onAttempt(attempts[attempts.length - 1]); 
+            
+            if (!retryable) { 
+                log.warning(`Not retrying: retryIf rejected "${lastError.message}"`); 
+                break; 
+            } 
+            if (attempt < maxAttempts && outOfTime) { 
+                log.warning(`Not retrying: next wait would exceed maxTotalTime (${maxTotalTime}ms)`); 
+                break; 
+            } 
+            if (willRetry) { 
+                log.info(`Waiting ${Math.round(nextDelay)}ms before retry...`); 
+                await sleep(nextDelay); 
+                previousDelay = nextDelay; 
             } 
         } 
-         
-        // All attempts failed - throw error
-        throw new Error(`Action failed after ${maxAttempts} attempts`); 
+        
+        // All attempts failed - throw error with the telemetry attached
+        const failure = new Error(`Action failed after ${attempts.length} attempt(s): ${lastError.message}`); 
+        failure.cause = lastError; 
+        failure.attempts = attempts; 
+        throw failure; 
     }; 
 }; 
 
@@ -207,4 +296,31 @@ log.info(`Generated ID: ${testId}`);
 const passedTests = testData.filter(test => test.status === "passed"); 
 log.info(`\nTest Summary:`); 
 log.info(`Total: ${testData.length} | Passed: ${passedTests.length} | Failed: ${failedTests.length}`); 
-log.info(`Total duration: ${totalDuration.toFixed(1)}s`);
\ No newline at end of file
+log.info(`Total duration: ${totalDuration.toFixed(1)}s`);
+
+// ASYNC RETRY WITH BACKOFF - flaky action that succeeds on the 3rd try
+// onAttempt telemetry uses the same shape reporters receive as "step:retry"
+// (see EVENTS.STEP_RETRY in day-04 test-framework.js - with a TestFramework
+// instance, pass onAttempt: framework.retryTelemetry() instead)
+const retryReporter = { 
+    "step:retry": ({ attempt, status, nextDelay }) => 
+        log.info(`📡 telemetry: attempt ${attempt} ${status}${nextDelay ? `, next in ${Math.round(nextDelay)}ms` : ""}`) 
+}; 
+
+let flakyCalls = 0; 
+const retryWithBackoff = createRetryHandler({ 
+    maxAttempts: 4, 
+    delay: 100, 
+    backoff: "exponential",                          // 100ms, 200ms, 400ms
+    maxTotalTime: 2000,                              // Never spend more than 2s retrying
+    retryIf: error => !error.message.includes("401"), // Auth errors won't fix themselves
+    onAttempt: retryReporter["step:retry"] 
+}); 
+
+retryWithBackoff(async () => { 
+    flakyCalls++; 
+    if (flakyCalls < 3) throw new Error("Element not clickable yet"); 
+    return { success: true, calls: flakyCalls }; 
+}) 
+    .then(result => log.success(`Retry demo finished after ${result.calls} calls`)) 
+    .catch(error => log.error(error.message)); 
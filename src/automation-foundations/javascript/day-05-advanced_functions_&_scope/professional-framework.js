@@ -8,6 +8,7 @@
 // 4. Scope Management (proper encapsulation)
 // 5. Factory Pattern (createSuite returns isolated objects)
 // 6. Best Practices (declare before use, no hoisting reliance)
+// 7. Async/Await (tests may return Promises, run in a worker pool)
 
 const TestFramework = (() => { 
     // ==========================================
@@ -19,9 +20,11 @@ const TestFramework = (() => {
     
     // GLOBAL TEST STATISTICS
     // Track overall test execution across all suites
-    let totalTests = 0;      // Counter: total tests executed
+    let totalTests = 0;      // Counter: total tests reported (executed + skipped)
     let passedTests = 0;     // Counter: tests that passed
     let failedTests = 0;     // Counter: tests that failed
+    let skippedTests = 0;    // Counter: tests marked with test.skip
+    let flakyTests = 0;      // Counter: passed tests that needed a retry (also in passedTests)
     
     // TEST SUITE STORAGE
     // Map data structure: faster lookups than objects for string keys
@@ -59,6 +62,425 @@ const TestFramework = (() => {
         return true; 
     }; 
     
+    // SUITE LOOKUP
+    // Every public method needs "find suite or fail" - one helper keeps it consistent
+    // Map.get() returns value for key, or undefined if not found
+    const getSuite = suiteName => { 
+        const suite = testSuites.get(suiteName); 
+        if (!suite) throw new Error(`Suite "${suiteName}" not found`); 
+        return suite; 
+    }; 
+    
+    // HOOK TYPES
+    // The four lifecycle hooks a suite can register
+    // beforeAll/afterAll → once per suite, beforeEach/afterEach → once per test
+    const HOOK_TYPES = ["beforeAll", "afterAll", "beforeEach", "afterEach"]; 
+    
+    // HOOK REGISTRATION FACTORY
+    // Returns a registration function for one hook type (closure over "type")
+    // Used to build beforeAll(), afterAll(), beforeEach() and afterEach() below
+    // Hooks are stored in arrays so a suite can register several of each type
+    const createHookRegistrar = type => (suiteName, hookFn) => { 
+        const suite = getSuite(suiteName); 
+        if (typeof hookFn !== 'function') throw new Error(`${type} hook must be a function`); 
+        suite[type].push(hookFn); 
+        console.log(`🪝 Registered ${type} hook on "${suiteName}"`); 
+    }; 
+    
+    // ANCESTOR CHAIN
+    // Returns [outermost parent, ..., suite] by walking the parent links
+    // Nested suites inherit their ancestors' hooks in this order
+    const getSuiteChain = suite => { 
+        const chain = []; 
+        for (let current = suite; current; current = current.parent) chain.unshift(current); 
+        return chain; 
+    }; 
+    
+    // INHERITED HOOK COLLECTOR
+    // beforeEach runs outer → inner (parent setup first, like Playwright/Mocha)
+    // afterEach runs inner → outer (child cleanup first, mirror image of setup)
+    const collectEachHooks = (suite, type) => { 
+        const hooks = getSuiteChain(suite).flatMap(s => s[type]); 
+        return type === "afterEach" ? hooks.reverse() : hooks; 
+    }; 
+    
+    // SUITE PATH
+    // Human-readable location of a nested suite: "Checkout › Guest user"
+    const suitePath = suite => getSuiteChain(suite).map(s => s.name).join(" › "); 
+    
+    // ALL TESTS IN A SUITE TREE
+    // Flattens a suite and every nested suite into one array of tests
+    const collectTests = suite => [...suite.tests, ...suite.suites.flatMap(collectTests)]; 
+    
+    // TAG EXTRACTION
+    // Tags come from the options object AND from @words in the test name
+    // "Checkout works @smoke @critical" → ["smoke", "critical"]
+    // Leading "@" is dropped so tags match analyzeResults-style data ("smoke")
+    // new Set() removes duplicates when a tag appears in both places
+    const extractTags = (testName, tags = []) => [...new Set([ 
+        ...tags.map(tag => tag.replace(/^@/, "")), 
+        ...[...testName.matchAll(/@([\w-]+)/g)].map(match => match[1]) 
+    ])]; 
+    
+    // TAG EXPRESSION PARSER
+    // Turns "smoke and not flaky" or "(smoke or critical) and not @slow"
+    // into a predicate function: tags => true/false
+    // Grammar (lowest to highest precedence): or → and → not → (group) / tag
+    // Recursive descent: each level calls the next, parentheses recurse to the top
+    const parseTagExpression = expression => { 
+        // Split into "(", ")" and words; whitespace only separates tokens
+        const tokens = expression.match(/\(|\)|[^\s()]+/g) || []; 
+        let position = 0; 
+        
+        const peek = () => tokens[position]; 
+        const next = () => tokens[position++]; 
+        
+        const parseOr = () => { 
+            let left = parseAnd(); 
+            while (peek() === "or") { 
+                next(); 
+                const right = parseAnd(), prev = left; 
+                left = tags => prev(tags) || right(tags); 
+            } 
+            return left; 
+        }; 
+        
+        const parseAnd = () => { 
+            let left = parseNot(); 
+            while (peek() === "and") { 
+                next(); 
+                const right = parseNot(), prev = left; 
+                left = tags => prev(tags) && right(tags); 
+            } 
+            return left; 
+        }; 
+        
+        const parseNot = () => { 
+            if (peek() === "not") { 
+                next(); 
+                const operand = parseNot(); 
+                return tags => !operand(tags); 
+            } 
+            return parsePrimary(); 
+        }; 
+        
+        const parsePrimary = () => { 
+            const token = next(); 
+            if (token === "(") { 
+                const inner = parseOr(); 
+                if (next() !== ")") throw new Error(`Missing ")" in tag expression "${expression}"`); 
+                return inner; 
+            } 
+            if (!token || ["and", "or", "not", ")"].includes(token)) { 
+                throw new Error(`Unexpected ${token ? `"${token}"` : "end"} in tag expression "${expression}"`); 
+            } 
+            const tag = token.replace(/^@/, ""); 
+            return tags => tags.includes(tag); 
+        }; 
+        
+        const predicate = parseOr(); 
+        if (position < tokens.length) { 
+            throw new Error(`Unexpected "${peek()}" in tag expression "${expression}"`); 
+        } 
+        return predicate; 
+    }; 
+    
+    // PARSE --shard=i/n
+    // Same rules as parseShardArg in typescript/day-09 test-automation-framework.ts
+    // "--shard=2/3" → { index: 2, total: 3 } (1-based, like CI job numbers)
+    // Returns undefined without the argument; malformed values throw so a
+    // CI typo can't silently run every test
+    const parseShardArg = (argv = process.argv) => { 
+        const arg = argv.find(value => value.startsWith("--shard=")); 
+        if (!arg) return undefined; 
+        
+        const match = arg.slice("--shard=".length).match(/^(\d+)\/(\d+)$/); 
+        if (!match) { 
+            throw new Error(`Invalid shard "${arg}" (expected --shard=i/n, e.g. --shard=1/4)`); 
+        } 
+        const shard = { index: Number(match[1]), total: Number(match[2]) }; 
+        if (shard.total < 1 || shard.index < 1 || shard.index > shard.total) { 
+            throw new Error(`Invalid shard "${arg}" (i must be between 1 and n)`); 
+        } 
+        return shard; 
+    }; 
+    
+    // STABLE HASH (FNV-1a)
+    // Same title → same number on every machine, so a test always lands on the
+    // same shard (generateId is random, so titles are hashed instead of ids)
+    const stableHash = value => { 
+        let hash = 0x811c9dc5; 
+        for (let i = 0; i < value.length; i++) { 
+            hash ^= value.charCodeAt(i); 
+            hash = Math.imul(hash, 0x01000193); 
+        } 
+        return hash >>> 0; 
+    }; 
+    
+    // RUN PLAN
+    // Decides up front what happens to every test under a suite:
+    //   "run"      → executes
+    //   "skip"     → marked with test.skip → reported as skipped
+    //   "filtered" → excluded by .only, grep or tags → not run, not reported
+    //   "shard"    → selected, but another CI job (--shard=i/n) runs it
+    // If ANY test in the tree uses test.only, only .only tests can run
+    // grep is matched against the full title: "Suite › Nested › Test name"
+    const buildRunPlan = (suite, { grep, tags, shard } = {}) => { 
+        const grepPattern = typeof grep === "string" ? new RegExp(grep, "i") : grep; 
+        const tagPredicate = tags ? parseTagExpression(tags) : null; 
+        const hasOnly = collectTests(suite).some(test => test.mode === "only"); 
+        
+        const plan = new Map(); 
+        const visit = current => { 
+            current.tests.forEach(test => { 
+                const title = `${suitePath(current)} › ${test.name}`; 
+                if ((hasOnly && test.mode !== "only") || 
+                    (grepPattern && !grepPattern.test(title)) || 
+                    (tagPredicate && !tagPredicate(test.tags))) { 
+                    plan.set(test, "filtered"); 
+                } else if (shard && stableHash(title) % shard.total !== shard.index - 1) { 
+                    plan.set(test, "shard"); 
+                } else { 
+                    plan.set(test, test.mode === "skip" ? "skip" : "run"); 
+                } 
+            }); 
+            current.suites.forEach(visit); 
+        }; 
+        visit(suite); 
+        return plan; 
+    }; 
+    
+    // COUNT TESTS IN A SUITE TREE WITH A GIVEN PLAN DECISION
+    // Used to skip hooks of suites with nothing to run, and to fail
+    // every runnable test below a beforeAll hook that threw
+    const countPlanned = (suite, plan, decision) => 
+        collectTests(suite).filter(test => plan.get(test) === decision).length; 
+    
+    // RUN A LIST OF HOOKS
+    // Runs every hook in order; the first one that throws stops the list
+    // Hooks may be async - each one is awaited before the next starts
+    // context is the per-test object for each-hooks (undefined for all-hooks)
+    // Returns the error (or null) so callers decide what a failure means
+    const runHooks = async (hooks, context) => { 
+        try { 
+            for (const hook of hooks) await hook(context); 
+            return null; 
+        } catch (error) { 
+            return error; 
+        } 
+    }; 
+    
+    // SPLIT ARRAY INTO CHUNKS
+    // Copy of chunkTests from day-06 professional-arrays.js (the reference;
+    // day8 await_&_errorhandlings.js has the same copy) - change it there first
+    // Used to shard a suite's tests across workers
+    const chunkTests = (tests, chunkSize) => 
+        Array.from( 
+            { length: Math.ceil(tests.length / chunkSize) }, 
+            (_, i) => tests.slice(i * chunkSize, (i + 1) * chunkSize) 
+        ); 
+    
+    // WORKER POOL
+    // Shards tests into `workers` chunks; each worker runs its chunk one by one
+    // and all workers run at the same time (Promise.all)
+    // Results are written back by original index → order never depends on timing
+    // 10 tests, 3 workers → chunks of 4, 4, 2
+    const runInWorkers = async (tests, workers, runOne) => { 
+        const results = new Array(tests.length); 
+        const indexed = tests.map((test, index) => ({ test, index })); 
+        const shards = chunkTests(indexed, Math.ceil(tests.length / workers)); 
+        
+        await Promise.all(shards.map(async shard => { 
+            for (const { test, index } of shard) { 
+                results[index] = await runOne(test); 
+            } 
+        })); 
+        return results; 
+    }; 
+    
+    // TEST REGISTRATION FACTORY
+    // Returns the function behind test(), test.only() and test.skip()
+    // mode: "normal" | "only" | "skip" - read later by buildRunPlan
+    // Parameters of the returned function:
+    //   suiteName (string) - which suite to add test to
+    //   testName (string) - descriptive name, may contain @tags
+    //   testFn (function) - test implementation to execute
+    //   options.tags (string[]) - extra tags, e.g. ["smoke", "critical"]
+    const createTestRegistrar = mode => (suiteName, testName, testFn, options = {}) => { 
+        // Lookup suite from private Map (fail-fast with descriptive error)
+        const suite = getSuite(suiteName); 
+        
+        // Create test configuration object
+        const testConfig = { 
+            id: generateId(),       // Unique identifier for this test
+            name: testName,         // Human-readable test name
+            fn: testFn,             // Test function to execute
+            tags: extractTags(testName, options.tags), 
+            mode                    // normal / only / skip
+        }; 
+        
+        // Validate test has required properties
+        // This prevents runtime errors during execution
+        validateTest(testConfig); 
+        
+        // Add validated test to suite's test array
+        suite.tests.push(testConfig); 
+        
+        // User feedback: confirm test addition
+        const marker = mode === "normal" ? "" : ` (.${mode})`; 
+        const tagList = testConfig.tags.length ? ` [${testConfig.tags.map(t => `@${t}`).join(" ")}]` : ""; 
+        console.log(`📝 Added test: "${testName}"${marker}${tagList}`); 
+    }; 
+    
+    // Functions are objects, so .only and .skip can hang off test itself
+    const test = createTestRegistrar("normal"); 
+    test.only = createTestRegistrar("only"); 
+    test.skip = createTestRegistrar("skip"); 
+    
+    // RUN ONE TEST WITH ITS INHERITED beforeEach/afterEach HOOKS
+    // A beforeEach failure fails the test without running its body
+    // afterEach always runs (cleanup), and its failure also fails the test
+    // Every test gets its own fresh context object - hooks and the test share it,
+    // other tests never see it, so tests running side by side can't leak state
+    // A failed attempt is retried up to `retries` times (hooks included, new context)
+    // Returns { test, error, attempts, flaky } - printing and counting happen in recordResult
+    const runTest = async (suite, test, retries = 0) => { 
+        const attempts = []; 
+        
+        for (let attempt = 1; attempt <= retries + 1; attempt++) { 
+            const context = {}; 
+            
+            // TRY-CATCH for graceful failure handling
+            // If a hook or the test throws (or rejects) → caught and marked as failed
+            // If everything completes without error → marked as passed
+            let error = await runHooks(collectEachHooks(suite, "beforeEach"), context); 
+            if (!error) { 
+                try { 
+                    // Execute the test function (await works for sync tests too)
+                    await test.fn(context); 
+                } catch (testError) { 
+                    error = testError; 
+                } 
+            } 
+            const afterEachError = await runHooks(collectEachHooks(suite, "afterEach"), context); 
+            
+            attempts.push({ attempt, error: error || afterEachError }); 
+            if (!(error || afterEachError)) break; // Passed - stop retrying 
+        } 
+        
+        // Final outcome = last attempt; FLAKY = failed at least once, then passed
+        const { error } = attempts[attempts.length - 1]; 
+        return { test, error, attempts, flaky: !error && attempts.length > 1 }; 
+    }; 
+    
+    // COUNT AND PRINT ONE TEST RESULT
+    // Kept apart from runTest so parallel results can be printed in order
+    const recordResult = ({ error, attempts, flaky }, indent) => { 
+        // Increment global test counter (closure accessing private variable)
+        totalTests++; 
+        
+        // Every failed attempt before the last one was retried
+        attempts.slice(0, -1).forEach(({ attempt, error: attemptError }) => 
+            console.log(`${indent}   🔁 Attempt ${attempt} failed: ${attemptError.message} - retrying`)); 
+        
+        if (flaky) { 
+            // FLAKY PATH: passed, but only after retrying - counted as passed AND flaky
+            passedTests++; 
+            flakyTests++; 
+            console.log(`${indent}   ⚠️  PASS (flaky - ${attempts.length} attempts)`); 
+        } else if (!error) { 
+            // SUCCESS PATH: test and hooks completed without throwing
+            passedTests++;                          // Increment pass counter
+            console.log(`${indent}   ✅ PASS`);     // Visual feedback
+        } else { 
+            // FAILURE PATH: test or one of its hooks threw an error
+            failedTests++;                                   // Increment fail counter
+            console.log(`${indent}   ❌ FAIL: ${error.message}`); // Show error message
+        } 
+    }; 
+    
+    // RUN A SUITE'S OWN TESTS
+    // workers = 1 → one at a time, each header printed before the test runs
+    // workers > 1 → worker pool, then every result printed in registration order
+    const runSuiteTests = async (suite, plan, indent, { workers, retries }) => { 
+        const printSkip = test => { 
+            totalTests++; 
+            skippedTests++; 
+            console.log(`\n${indent}⏭️  SKIP: ${test.name}`); 
+        }; 
+        
+        if (workers <= 1) { 
+            for (const test of suite.tests) { 
+                const decision = plan.get(test); 
+                if (decision === "skip") printSkip(test); 
+                if (decision !== "run") continue; 
+                
+                // Print test header with name
+                console.log(`\n${indent}🧪 Test: ${test.name}`); 
+                recordResult(await runTest(suite, test, retries), indent); 
+            } 
+            return; 
+        } 
+        
+        const runnable = suite.tests.filter(test => plan.get(test) === "run"); 
+        const results = await runInWorkers(runnable, workers, test => runTest(suite, test, retries)); 
+        
+        // Same order as registration, regardless of which worker finished first
+        const resultsByTest = new Map(results.map(result => [result.test, result])); 
+        suite.tests.forEach(test => { 
+            const decision = plan.get(test); 
+            if (decision === "skip") printSkip(test); 
+            if (decision !== "run") return; 
+            console.log(`\n${indent}🧪 Test: ${test.name}`); 
+            recordResult(resultsByTest.get(test), indent); 
+        }); 
+    }; 
+    
+    // RUN A SUITE AND EVERYTHING NESTED INSIDE IT (recursive)
+    // Order: beforeAll → own tests → nested suites → afterAll
+    // depth controls indentation so the feature → scenario tree is visible
+    const runSuiteTree = async (suite, plan, depth, runOptions) => { 
+        const indent = "   ".repeat(depth); 
+        
+        // Nothing left after filtering → don't print the suite or run its hooks
+        const runnableCount = countPlanned(suite, plan, "run"); 
+        const skipCount = countPlanned(suite, plan, "skip"); 
+        if (runnableCount + skipCount === 0) return; 
+        
+        if (depth > 0) console.log(`\n${indent}📂 ${suitePath(suite)}`); 
+        
+        // Only skipped tests left → report them without paying for setup
+        if (runnableCount === 0) { 
+            collectTests(suite).filter(test => plan.get(test) === "skip").forEach(test => { 
+                totalTests++; 
+                skippedTests++; 
+                console.log(`${indent}⏭️  SKIP: ${test.name}`); 
+            }); 
+            return; 
+        } 
+        
+        // ===== BEFORE ALL HOOKS =====
+        // Suite-level setup (database connection, browser launch, login)
+        // If setup fails, nothing inside this suite can be trusted to run
+        const beforeAllError = await runHooks(suite.beforeAll); 
+        if (beforeAllError) { 
+            totalTests += runnableCount + skipCount; 
+            failedTests += runnableCount; 
+            skippedTests += skipCount; 
+            console.log(`${indent}   ❌ beforeAll failed: ${beforeAllError.message} (${runnableCount} test(s) failed)`); 
+        } else { 
+            // ===== EXECUTE EACH TEST, THEN NESTED SUITES =====
+            // Nested suites run one after another; parallelism is per suite
+            await runSuiteTests(suite, plan, indent, runOptions); 
+            for (const child of suite.suites) await runSuiteTree(child, plan, depth + 1, runOptions); 
+        } 
+        
+        // ===== AFTER ALL HOOKS =====
+        // Suite-level teardown runs even when setup failed (close what was opened)
+        const afterAllError = await runHooks(suite.afterAll); 
+        if (afterAllError) console.log(`${indent}   ⚠️  afterAll failed: ${afterAllError.message}`); 
+    }; 
+    
     // ==========================================
     // PUBLIC API - EXPOSED METHODS
     // ==========================================
@@ -73,128 +495,124 @@ const TestFramework = (() => {
         // Creates a new test suite container
         // Each suite is independent with its own test array
         // Stores suite in private testSuites Map for later access
-        // Parameters: suiteName (string) - identifier for the suite
+        // Parameters:
+        //   suiteName (string) - identifier for the suite
+        //   parentName (string, optional) - nest this suite inside another one
+        //                                   (feature → scenario hierarchy)
         // Returns: suite object (for potential chaining or inspection)
         
-        createSuite: (suiteName) => { 
+        createSuite: (suiteName, parentName) => { 
+            // Resolve the parent first so a typo fails before anything is created
+            const parent = parentName ? getSuite(parentName) : null; 
+            
             // Create suite object with default structure
             const suite = { 
                 name: suiteName,        // Suite identifier
+                parent,                 // Enclosing suite (null for top level)
+                suites: [],             // Nested child suites
                 tests: [],              // Array to hold test objects
-                beforeAll: null,        // Hook: runs before all tests (not implemented in demo)
-                afterAll: null          // Hook: runs after all tests (not implemented in demo)
+                beforeAll: [],          // Hooks: run once before this suite's tests
+                afterAll: [],           // Hooks: run once after this suite's tests
+                beforeEach: [],         // Hooks: run before every test (inherited by children)
+                afterEach: []           // Hooks: run after every test (inherited by children)
             }; 
             
+            // Link child into parent so runSuite(parent) also runs it
+            if (parent) parent.suites.push(suite); 
+            
             // Store suite in Map using name as key
             // Map.set() adds/updates key-value pair
             testSuites.set(suiteName, suite); 
             
             // User feedback: confirm suite creation
-            console.log(`✅ Created suite: "${suiteName}"`); 
+            console.log(`✅ Created suite: "${suitePath(suite)}"`); 
             
             // Return suite object (allows inspection or chaining)
             return suite; 
         }, 
         
+        // ========================================
+        // METHODS: HOOK REGISTRATION
+        // ========================================
+        // beforeAll(suiteName, fn)  - once before the suite's tests
+        // afterAll(suiteName, fn)   - once after the suite's tests
+        // beforeEach(suiteName, fn) - before every test in the suite AND nested suites
+        // afterEach(suiteName, fn)  - after every test in the suite AND nested suites
+        // Object.fromEntries turns [["beforeAll", fn], ...] into { beforeAll: fn, ... }
+        ...Object.fromEntries(HOOK_TYPES.map(type => [type, createHookRegistrar(type)])), 
+        
         // ========================================
         // METHOD 2: ADD TEST TO SUITE
         // ========================================
-        // Adds individual test to a specific suite
-        // Validates test before adding (fail-fast)
-        // Generates unique ID for each test
-        // Parameters:
-        //   suiteName (string) - which suite to add test to
-        //   testName (string) - descriptive name for the test
-        //   testFn (function) - test implementation to execute
-        
-        test: (suiteName, testName, testFn) => { 
-            // Lookup suite from private Map
-            // Map.get() returns value for key, or undefined if not found
-            const suite = testSuites.get(suiteName); 
-            
-            // Validate suite exists (fail-fast with descriptive error)
-            if (!suite) throw new Error(`Suite "${suiteName}" not found`); 
-            
-            // Create test configuration object
-            const testConfig = { 
-                id: generateId(),       // Unique identifier for this test
-                name: testName,         // Human-readable test name
-                fn: testFn              // Test function to execute
-            }; 
-            
-            // Validate test has required properties
-            // This prevents runtime errors during execution
-            validateTest(testConfig); 
-            
-            // Add validated test to suite's test array
-            suite.tests.push(testConfig); 
-            
-            // User feedback: confirm test addition
-            console.log(`📝 Added test: "${testName}"`); 
-        }, 
+        // test(suiteName, testName, testFn, { tags })
+        // test.only(...) - run only tests marked .only (within the run)
+        // test.skip(...) - keep the test registered but report it as skipped
+        // See createTestRegistrar above for details
+        
+        test, 
         
         // ========================================
         // METHOD 3: RUN TEST SUITE
         // ========================================
-        // Executes all tests in a specific suite
-        // Handles test failures gracefully with try-catch
+        // Executes all tests in a specific suite, then its nested suites
+        // Handles test and hook failures gracefully with try-catch
         // Updates global statistics (totalTests, passedTests, failedTests)
         // Provides formatted console output for test results
-        // Parameters: suiteName (string) - which suite to execute
+        // Running a nested suite directly still runs its ancestors'
+        // beforeAll/afterAll hooks so inherited setup is always in place
+        // Parameters:
+        //   suiteName (string) - which suite to execute
+        //   options.grep (string | RegExp) - only titles matching this pattern
+        //   options.tags (string) - tag expression, e.g. "smoke and not flaky"
+        //   options.workers (number) - tests to run at the same time (default 1)
+        //   options.retries (number) - extra attempts for a failing test (default 0)
+        //   options.shard ({ index, total }) - run only this CI job's share of the
+        //     tests (default: the --shard=i/n command line argument, if any)
+        // Returns: Promise - await it before calling report()
         
-        runSuite: (suiteName) => { 
-            // Retrieve suite from private Map
-            const suite = testSuites.get(suiteName); 
+        runSuite: async (suiteName, options = {}) => { 
+            // Retrieve suite from private Map (fails fast if missing)
+            const suite = getSuite(suiteName); 
+            const ancestors = getSuiteChain(suite).slice(0, -1); 
             
-            // Validate suite exists before attempting execution
-            if (!suite) throw new Error(`Suite "${suiteName}" not found`); 
+            // Decide what runs BEFORE any hook executes (bad tag expressions fail fast)
+            const shard = "shard" in options ? options.shard : parseShardArg(); 
+            const plan = buildRunPlan(suite, { ...options, shard }); 
+            const filteredCount = countPlanned(suite, plan, "filtered"); 
+            const otherShardCount = countPlanned(suite, plan, "shard"); 
+            const workers = Math.max(1, Math.floor(options.workers || 1)); 
+            const retries = Math.max(0, Math.floor(options.retries || 0)); 
             
             // ===== SUITE HEADER =====
             // Print formatted header to separate test output visually
             // .repeat(60) creates string of 60 equal signs for visual separator
             console.log(`\n${'='.repeat(60)}`); 
-            console.log(`🚀 RUNNING: ${suiteName}`); 
+            console.log(`🚀 RUNNING: ${suitePath(suite)}`); 
+            if (options.grep) console.log(`   grep: ${options.grep}`); 
+            if (options.tags) console.log(`   tags: ${options.tags}`); 
+            if (workers > 1) console.log(`   workers: ${workers}`); 
+            if (retries > 0) console.log(`   retries: ${retries}`); 
+            if (shard) console.log(`   shard: ${shard.index}/${shard.total}`); 
             console.log(`${'='.repeat(60)}\n`); 
             
-            // ===== BEFORE ALL HOOK =====
-            // Execute setup function if defined (for suite-level setup)
-            // Examples: database connection, browser launch, login
-            if (suite.beforeAll) suite.beforeAll(); 
+            // ===== ANCESTOR SETUP → SUITE TREE → ANCESTOR TEARDOWN =====
+            // (skipped entirely when filtering left nothing to run)
+            const runnableCount = countPlanned(suite, plan, "run"); 
+            const ancestorError = runnableCount > 0 ? await runHooks(ancestors.flatMap(a => a.beforeAll)) : null; 
+            if (ancestorError) { 
+                const skipCount = countPlanned(suite, plan, "skip"); 
+                totalTests += runnableCount + skipCount; 
+                failedTests += runnableCount; 
+                skippedTests += skipCount; 
+                console.log(`   ❌ Parent beforeAll failed: ${ancestorError.message} (${runnableCount} test(s) failed)`); 
+            } else { 
+                await runSuiteTree(suite, plan, 0, { workers, retries }); 
+            } 
+            if (runnableCount > 0) await runHooks([...ancestors].reverse().flatMap(a => a.afterAll)); 
             
-            // ===== EXECUTE EACH TEST =====
-            // Iterate through all tests in suite
-            // forEach provides index and test object
-            suite.tests.forEach(test => { 
-                // Increment global test counter (closure accessing private variable)
-                totalTests++; 
-                
-                // Print test header with name
-                console.log(`\n🧪 Test: ${test.name}`); 
-                
-                // TRY-CATCH for graceful failure handling
-                // If test throws error → caught and marked as failed
-                // If test completes without error → marked as passed
-                try { 
-                    // Execute the test function
-                    // If it throws, catch block handles it
-                    // If it completes normally, test passes
-                    test.fn(); 
-                    
-                    // SUCCESS PATH: test completed without throwing
-                    passedTests++;                  // Increment pass counter
-                    console.log(`   ✅ PASS`);       // Visual feedback
-                    
-                } catch (error) { 
-                    // FAILURE PATH: test threw an error
-                    failedTests++;                           // Increment fail counter
-                    console.log(`   ❌ FAIL: ${error.message}`); // Show error message
-                } 
-            }); 
-            
-            // ===== AFTER ALL HOOK =====
-            // Execute cleanup function if defined (for suite-level teardown)
-            // Examples: close browser, disconnect database, logout
-            if (suite.afterAll) suite.afterAll(); 
+            // Filtered tests are not results - just tell the user how many were left out
+            if (filteredCount > 0) console.log(`\n🔎 ${filteredCount} test(s) not selected by .only/grep/tags`); 
+            if (otherShardCount > 0) console.log(`🧩 ${otherShardCount} test(s) left to the other shards`); 
             
             // ===== SUITE FOOTER =====
             // Print completion message with visual separator
@@ -213,12 +631,14 @@ const TestFramework = (() => {
         
         report: () => { 
             // CALCULATE PASS RATE
+            // Only tests that actually executed count - a skip is neither pass nor fail
             // Ternary operator: condition ? true-value : false-value
             // Prevents division by zero if no tests run
             // toFixed(2) rounds to 2 decimal places (e.g., 66.67%)
-            const passRate = totalTests > 0  
-                ? ((passedTests / totalTests) * 100).toFixed(2)  // Calculate percentage
-                : 0;                                             // Default to 0 if no tests
+            const executedTests = passedTests + failedTests; 
+            const passRate = executedTests > 0  
+                ? ((passedTests / executedTests) * 100).toFixed(2)  // Calculate percentage
+                : 0;                                                // Default to 0 if no tests
             
             // DISPLAY FORMATTED REPORT
             // Using template literals for formatted output
@@ -229,7 +649,11 @@ const TestFramework = (() => {
             
             // STATISTICS LINE
             // Pipe-separated format for easy reading
-            console.log(`Total: ${totalTests} | Passed: ${passedTests} | Failed: ${failedTests}`); 
+            console.log(`Total: ${totalTests} | Passed: ${passedTests} | Failed: ${failedTests} | Skipped: ${skippedTests}`); 
+            
+            // FLAKY COUNT
+            // Already included in Passed - shown separately so it doesn't hide behind a green run
+            if (flakyTests > 0) console.log(`Flaky: ${flakyTests} (passed only after retry)`); 
             
             // PASS RATE
             // Key metric for test suite health
@@ -306,18 +730,128 @@ TestFramework.test("Login Tests", "Empty fields", () => {
 }); 
 
 // ========================================
-// STEP 3: EXECUTE TEST SUITE
+// STEP 3: REGISTER SUITE HOOKS
 // ========================================
-// Run all tests in the "Login Tests" suite
-// Framework handles execution, error catching, and result reporting
-TestFramework.runSuite("Login Tests"); 
+// Hooks replace hand-editing suite.beforeAll / suite.afterAll
+// Several hooks of the same type can be registered; they run in order
+TestFramework.beforeAll("Login Tests", () => console.log("   🌐 beforeAll: launching browser")); 
+TestFramework.beforeEach("Login Tests", () => console.log("   ↪ beforeEach: opening /login")); 
+TestFramework.afterEach("Login Tests", () => console.log("   ↩ afterEach: clearing cookies")); 
+TestFramework.afterAll("Login Tests", () => console.log("   🧹 afterAll: closing browser")); 
 
 // ========================================
-// STEP 4: GENERATE SUMMARY REPORT
+// STEP 4: NESTED SUITES (feature → scenario)
 // ========================================
-// Display final statistics across all executed tests
-// Shows total, passed, failed counts and pass rate percentage
-TestFramework.report(); 
+// Second argument to createSuite() is the parent suite
+// Children inherit the parent's beforeEach/afterEach hooks:
+//   beforeEach → parent first, then child
+//   afterEach  → child first, then parent
+TestFramework.createSuite("Checkout"); 
+TestFramework.createSuite("Guest checkout", "Checkout"); 
+TestFramework.createSuite("Saved card checkout", "Checkout"); 
+
+TestFramework.beforeAll("Checkout", () => console.log("   🌐 beforeAll: seeding cart")); 
+TestFramework.beforeEach("Checkout", () => console.log("   ↪ beforeEach [Checkout]: opening /cart")); 
+TestFramework.beforeEach("Saved card checkout", () => console.log("   ↪ beforeEach [Saved card]: logging in")); 
+TestFramework.afterEach("Saved card checkout", () => console.log("   ↩ afterEach [Saved card]: logging out")); 
+
+TestFramework.test("Guest checkout", "Pays with new card", () => { 
+    console.log("   → Entering card details"); 
+}); 
+TestFramework.test("Saved card checkout", "Pays with saved card", () => { 
+    console.log("   → Selecting saved card"); 
+}); 
+
+// Everything from here on awaits runSuite, so it lives in an async IIFE
+(async () => { 
+    // ========================================
+    // STEP 5: EXECUTE TEST SUITES
+    // ========================================
+    // Run all tests in the "Login Tests" suite
+    // Framework handles execution, error catching, and result reporting
+    await TestFramework.runSuite("Login Tests"); 
+
+    // Running "Checkout" also runs both nested scenario suites
+    await TestFramework.runSuite("Checkout"); 
+
+    // ========================================
+    // STEP 6: FILTER WHAT RUNS (grep, tags, .only, .skip)
+    // ========================================
+    // Tags come from @words in the name or from the { tags } option
+    TestFramework.createSuite("Search"); 
+    TestFramework.test("Search", "Finds product by name @smoke", () => { 
+        console.log("   → Searching for 'laptop'"); 
+    }); 
+    TestFramework.test("Search", "Filters by price", () => { 
+        console.log("   → Applying price range"); 
+    }, { tags: ["regression"] }); 
+    TestFramework.test("Search", "Sorts by rating @smoke @flaky", () => { 
+        throw new Error("Sort order changed between page loads"); 
+    }); 
+    TestFramework.test.skip("Search", "Suggests spelling fixes @smoke", () => { 
+        console.log("   → Not implemented yet"); 
+    }); 
+
+    // Tag expression: and / or / not / parentheses
+    await TestFramework.runSuite("Search", { tags: "smoke and not flaky" }); 
+
+    // grep matches the full title "Search › <test name>" (string = case-insensitive)
+    await TestFramework.runSuite("Search", { grep: "price" }); 
+
+    // .only narrows a run to the marked tests - useful while debugging one case
+    TestFramework.createSuite("Profile"); 
+    TestFramework.test("Profile", "Updates avatar", () => console.log("   → Uploading image")); 
+    TestFramework.test.only("Profile", "Changes password", () => console.log("   → Submitting new password")); 
+    await TestFramework.runSuite("Profile"); 
+
+    // ========================================
+    // STEP 7: PARALLEL EXECUTION (worker pool)
+    // ========================================
+    // Each test gets a fresh context object from the framework:
+    // beforeEach fills it, the test reads it, afterEach cleans it up
+    // Tests running side by side never share it → no leaked state
+    TestFramework.createSuite("Product API"); 
+    TestFramework.beforeEach("Product API", context => { context.cart = []; }); 
+
+    // Async tests: return a Promise (async function) and the framework awaits it
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms)); 
+    ["Laptop", "Phone", "Tablet", "Monitor", "Keyboard", "Mouse"].forEach(product => { 
+        TestFramework.test("Product API", `Adds ${product} to cart`, async context => { 
+            await delay(300); 
+            context.cart.push(product); 
+            if (context.cart.length !== 1) throw new Error(`Cart leaked between tests: ${context.cart}`); 
+        }); 
+    }); 
+
+    // 6 tests × 300ms: ~1800ms with 1 worker, ~600ms with 3 workers
+    // Output order matches registration order even though tests finish out of order
+    const startTime = Date.now(); 
+    await TestFramework.runSuite("Product API", { workers: 3 }); 
+    console.log(`⏱️  Parallel run took ${Date.now() - startTime}ms`); 
+
+    // ========================================
+    // STEP 8: RETRIES AND FLAKY TESTS
+    // ========================================
+    // retries: 2 → up to 3 attempts; hooks run again and the context is fresh each time
+    // A test that fails then passes is reported as PASS (flaky)
+    TestFramework.createSuite("Notifications"); 
+    let toastAttempts = 0; 
+    TestFramework.test("Notifications", "Shows toast after save", () => { 
+        toastAttempts++; 
+        if (toastAttempts < 2) throw new Error("Toast not visible yet"); 
+    }); 
+    TestFramework.test("Notifications", "Email preview renders", () => { 
+        throw new Error("Template missing"); // Fails on every attempt → real failure
+    }); 
+    await TestFramework.runSuite("Notifications", { retries: 2 }); 
+    
+    // ========================================
+    // STEP 9: GENERATE SUMMARY REPORT
+    // ========================================
+    // Display final statistics across all executed tests
+    // Shows total, passed, failed counts and pass rate percentage
+    TestFramework.report(); 
+})(); 
 
 // ==========================================
 // KEY CONCEPTS DEMONSTRATED
@@ -329,6 +863,12 @@ TestFramework.report();
 // ✅ DATA STRUCTURES: Map for efficient suite storage and lookup
 // ✅ ERROR HANDLING: Try-catch for graceful test failure handling
 // ✅ FACTORY PATTERN: createSuite generates isolated suite objects
+// ✅ HIGHER-ORDER FUNCTIONS: createHookRegistrar builds one API method per hook type
+// ✅ FUNCTIONS ARE OBJECTS: test.only / test.skip are properties on the test function
+// ✅ ASYNC/AWAIT: Tests and hooks may be async; runSuite returns a Promise
+// ✅ WORKER POOL: chunkTests shards tests, Promise.all runs the shards together
+// ✅ PARSING: parseTagExpression is a small recursive-descent parser (and/or/not/())
+// ✅ RECURSION: runSuiteTree walks nested suites, getSuiteChain walks up to parents
 // ✅ VALIDATION: Fail-fast with descriptive errors (validateTest)
 // ✅ SCOPE MANAGEMENT: No global pollution, everything properly scoped
 // ✅ BEST PRACTICES: Declare before use, consistent formatting
@@ -336,13 +876,8 @@ TestFramework.report();
 // ==========================================
 // POTENTIAL ENHANCEMENTS
 // ==========================================
-// 1. Add beforeEach/afterEach hooks (per-test setup/teardown)
-// 2. Implement async test support (return Promises)
-// 3. Add test filtering (run only specific tests)
-// 4. Include timing statistics (test duration)
-// 5. Support nested test suites (describe blocks)
-// 6. Add assertion library (expect/assert functions)
-// 7. Generate HTML/JSON reports
-// 8. Implement test retries for flaky tests
-// 9. Add tagging system (@smoke, @regression)
-// 10. Support parallel test execution
\ No newline at end of file
+// 1. Include timing statistics (test duration)
+// 2. Add assertion library (expect/assert functions)
+// 3. Generate HTML/JSON reports
+// 4. Quarantine known-flaky tests instead of retrying them forever
+// 5. Balance workers by pulling from a shared queue instead of fixed shards
\ No newline at end of file
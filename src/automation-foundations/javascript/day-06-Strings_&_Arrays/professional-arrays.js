@@ -1,3 +1,7 @@
+// Node's file system modules - section 6 saves/loads the baseline file
+const fs = require('fs'); 
+const path = require('path'); 
+
 // ========================================== 
 // 1. TEST DATA GENERATION PATTERNS 
 // ========================================== 
@@ -67,6 +71,8 @@ console.log("Sample:", testMatrix[0]);
 
 // Function to split array into smaller chunks for parallel execution
 // Parameters: tests array, chunkSize - size of each chunk
+// Reference version: day-05 professional-framework.js and day8
+// await_&_errorhandlings.js carry copies (the demo scripts don't share modules)
 const chunkTests = (tests, chunkSize) =>  
     // Array.from creates array of chunks
     Array.from( 
@@ -159,6 +165,22 @@ console.log("  By Browser:", analysis.byBrowser);
 // Show breakdown by tag categories
 console.log("  By Tag:", analysis.byTag); 
 
+// Linear-interpolated percentile of an already sorted array
+// rank = p * (n - 1) → blend the two values either side of that rank
+// (a floor index jumps straight to one sample: with 6 durations p90 and p95
+//  would both be the max, and tiny suites would never show a change)
+// Parameters: sorted - ascending numbers, p - 0..1 (0.9 = p90)
+const percentile = (sorted, p) => { 
+    if (sorted.length === 0) return undefined; 
+    const rank = p * (sorted.length - 1); 
+    const lower = Math.floor(rank); 
+    const upper = Math.ceil(rank); 
+    // Fraction of the way from lower to upper sample
+    const weight = rank - lower; 
+    // toFixed(2) keeps floating point noise (2.9000000001) out of reports
+    return Number((sorted[lower] + (sorted[upper] - sorted[lower]) * weight).toFixed(2)); 
+}; 
+
 // Calculate performance percentiles from duration data
 // Parameter: durations - array of test duration values
 const calculatePercentiles = (durations) => { 
@@ -168,11 +190,11 @@ const calculatePercentiles = (durations) => {
     // Return object with various percentile calculations
     return { 
         // p50 (median) - middle value at 50% position
-        p50: sorted[Math.floor(sorted.length * 0.5)], 
+        p50: percentile(sorted, 0.5), 
         // p90 - value at 90th percentile (90% of tests are faster)
-        p90: sorted[Math.floor(sorted.length * 0.9)], 
+        p90: percentile(sorted, 0.9), 
         // p95 - value at 95th percentile
-        p95: sorted[Math.floor(sorted.length * 0.95)], 
+        p95: percentile(sorted, 0.95), 
         // Maximum duration (slowest test)
         max: Math.max(...sorted), 
         // Minimum duration (fastest test)
@@ -424,4 +446,228 @@ Object.entries(metrics.byBrowser).forEach(([browser, stats]) => {
     // Display browser name with pass/total ratio
     // stats.passed + stats.failed = total tests for this browser
     console.log(`    ${browser}: ${stats.passed}/${stats.passed + stats.failed} passed`); 
-});
\ No newline at end of file
+});
+// ========================================== 
+// 5. FLAKINESS ACROSS RUNS 
+// ========================================== 
+
+// Display section header
+console.log("\n=== FLAKINESS ANALYSIS ===\n"); 
+
+// findPatterns() looks at ONE run; a flaky test only shows itself across MANY
+// Input: array of result sets (oldest run first), each shaped like testResults
+// RunHistory.loadRuns() in run-history.js is oldest first too, but each run is
+// { summary, tests } and tests carry `key` instead of `id` - map them first:
+//   history.loadRuns().map(run => run.tests.map(test => ({ ...test, id: test.key })))
+
+// Wilson score interval for a failure rate
+// Better than failures/runs alone: 1 failure in 2 runs is far less certain
+// than 50 failures in 100 runs, and the interval shows that
+// Parameters: failures, runs, z (1.96 = 95% confidence)
+const wilsonInterval = (failures, runs, z = 1.96) => { 
+    // No data → we know nothing, the rate could be anything
+    if (runs === 0) return { low: 0, high: 1 }; 
+    const p = failures / runs; 
+    const denominator = 1 + (z * z) / runs; 
+    const centre = p + (z * z) / (2 * runs); 
+    const margin = z * Math.sqrt((p * (1 - p)) / runs + (z * z) / (4 * runs * runs)); 
+    return { 
+        low: Math.max(0, (centre - margin) / denominator), 
+        high: Math.min(1, (centre + margin) / denominator) 
+    }; 
+}; 
+
+// Score every test across runs and build a ranked quarantine list
+// Parameters:
+//   runs - array of result arrays, oldest first
+//   options.minRuns - ignore tests seen in fewer runs (not enough evidence)
+//   options.flipThreshold - flip rate at which a test is quarantined (0.5 = flips in half its chances)
+//   options.recent - how many of the latest transitions to keep per test
+const analyzeFlakiness = (runs, { minRuns = 3, flipThreshold = 0.5, recent = 3 } = {}) => { 
+    // Collect each test's pass/fail sequence in run order
+    // Map keeps first-seen order and allows any string key
+    const histories = new Map(); 
+    runs.forEach((results, runIndex) => { 
+        results 
+            .filter(test => test.status === 'passed' || test.status === 'failed')   // Skips aren't evidence 
+            .forEach(test => { 
+                const key = test.id ?? test.name; 
+                if (!histories.has(key)) histories.set(key, { name: test.name, outcomes: [] }); 
+                histories.get(key).outcomes.push({ run: runIndex + 1, status: test.status }); 
+            }); 
+    }); 
+
+    const scored = [...histories].map(([id, { name, outcomes }]) => { 
+        const failures = outcomes.filter(o => o.status === 'failed').length; 
+
+        // Transitions: every place where the status changed from one run to the next
+        // PASS → FAIL → PASS = 2 flips; a test that is always red has 0 flips
+        const transitions = outcomes.slice(1) 
+            .map((outcome, i) => ({ run: outcome.run, from: outcomes[i].status, to: outcome.status })) 
+            .filter(t => t.from !== t.to); 
+
+        // Flip rate = flips / chances to flip (runs - 1)
+        const flipRate = outcomes.length > 1 ? transitions.length / (outcomes.length - 1) : 0; 
+        const interval = wilsonInterval(failures, outcomes.length); 
+
+        return { 
+            id, 
+            name, 
+            runs: outcomes.length, 
+            failures, 
+            failureRate: Number((failures / outcomes.length).toFixed(2)), 
+            failureRateCI: [Number(interval.low.toFixed(2)), Number(interval.high.toFixed(2))], 
+            flipRate: Number(flipRate.toFixed(2)), 
+            recentTransitions: transitions.slice(-recent), 
+            // Flaky = flips between pass and fail; always-failing is broken, not flaky
+            quarantine: outcomes.length >= minRuns && flipRate >= flipThreshold 
+        }; 
+    }); 
+
+    // Rank: highest flip rate first; ties → the one we're most sure fails (higher CI low bound)
+    const ranked = scored.sort((a, b) => 
+        b.flipRate - a.flipRate || b.failureRateCI[0] - a.failureRateCI[0] 
+    ); 
+
+    return { 
+        tests: ranked, 
+        quarantineList: ranked.filter(test => test.quarantine) 
+    }; 
+}; 
+
+// Six historical runs of the same suite (oldest first)
+// TC002 alternates, TC005 fails once, TC004 is consistently broken
+const historicalRuns = [ 
+    ['passed', 'failed', 'passed', 'failed', 'passed', 'passed'], 
+    ['passed', 'passed', 'passed', 'failed', 'passed', 'passed'], 
+    ['passed', 'failed', 'passed', 'failed', 'passed', 'passed'], 
+    ['passed', 'passed', 'passed', 'failed', 'failed', 'passed'], 
+    ['passed', 'failed', 'passed', 'failed', 'passed', 'passed'], 
+    ['passed', 'passed', 'passed', 'failed', 'passed', 'passed'] 
+].map(statuses => testResults.map((test, i) => ({ ...test, status: statuses[i] }))); 
+
+// Analyze and display ranked results
+const flakiness = analyzeFlakiness(historicalRuns); 
+console.log("Flakiness ranking (flip rate | failure rate [95% CI]):"); 
+flakiness.tests.forEach(test => { 
+    const [low, high] = test.failureRateCI; 
+    const flag = test.quarantine ? ' 🚧 QUARANTINE' : ''; 
+    console.log(`  ${test.id} ${test.name}: ${test.flipRate} | ${test.failureRate} [${low}-${high}]${flag}`); 
+}); 
+
+// Show the quarantine list with the latest transitions as evidence
+console.log("\nQuarantine list:"); 
+flakiness.quarantineList.forEach((test, index) => { 
+    const evidence = test.recentTransitions.map(t => `run ${t.run}: ${t.from}→${t.to}`).join(', '); 
+    console.log(`  ${index + 1}. ${test.name} (${evidence})`); 
+}); 
+
+// ========================================== 
+// 6. PERFORMANCE BASELINES
+// ========================================== 
+
+// Display section header
+console.log("\n=== PERFORMANCE REGRESSION DETECTION ===\n"); 
+
+// A baseline is "how long each test normally takes", stored per test:
+//   { createdAt, tests: { TC001: { name, samples, p50, p90, p95 }, ... } }
+// One slow run is noise; comparing p90 across several runs shows real slowdowns
+// Input: runs shaped like historicalRuns above (oldest first)
+const buildPercentileBaseline = (runs) => { 
+    // Group every duration by test id across all runs
+    const durationsByTest = runs.flat().reduce((groups, test) => { 
+        const key = test.id ?? test.name; 
+        if (!groups[key]) groups[key] = { name: test.name, durations: [] }; 
+        groups[key].durations.push(test.duration); 
+        return groups; 
+    }, {}); 
+
+    // Object.fromEntries() turns [key, value] pairs back into an object
+    const tests = Object.fromEntries( 
+        Object.entries(durationsByTest).map(([id, { name, durations }]) => { 
+            const { p50, p90, p95 } = calculatePercentiles(durations); 
+            return [id, { name, samples: durations.length, p50, p90, p95 }]; 
+        }) 
+    ); 
+
+    return { createdAt: new Date().toISOString(), tests }; 
+}; 
+
+// Write the baseline as pretty JSON so changes are readable in code review
+const saveBaseline = (baseline, filePath = 'results/perf-baseline.json') => { 
+    // recursive: true → create results/ if needed, no error if it exists
+    fs.mkdirSync(path.dirname(filePath), { recursive: true }); 
+    fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2)); 
+    return filePath; 
+}; 
+
+// Read a saved baseline; null when there is none yet (first run creates it)
+const loadBaseline = (filePath = 'results/perf-baseline.json') => 
+    fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null; 
+
+// Compare current runs against the baseline, test by test
+// Parameters:
+//   runs - recent runs to measure (same shape as for buildPercentileBaseline)
+//   baseline - object from buildPercentileBaseline() / loadBaseline()
+//   options.threshold - 1.2 means "p90 at least 20% slower than baseline"
+//   options.metric - which percentile to compare ('p50' | 'p90' | 'p95')
+//   options.minSamples - ignore tests with fewer current samples (not enough evidence)
+// A baseline of 0s (e.g. a test that was skipped) has no meaningful ratio -
+// those tests are listed in zeroBaseline instead of being compared
+const compareToBaseline = (runs, baseline, { threshold = 1.2, metric = 'p90', minSamples = 3 } = {}) => { 
+    const current = buildPercentileBaseline(runs).tests; 
+    const measurable = Object.entries(current) 
+        .filter(([id, stats]) => baseline.tests[id] && stats.samples >= minSamples); 
+    const hasBaseline = ([id]) => baseline.tests[id][metric] > 0; 
+
+    const compared = measurable 
+        .filter(hasBaseline) 
+        .map(([id, stats]) => { 
+            const before = baseline.tests[id][metric]; 
+            const after = stats[metric]; 
+            return { 
+                id, 
+                name: stats.name, 
+                baseline: before, 
+                current: after, 
+                ratio: Number((after / before).toFixed(2)) 
+            }; 
+        }); 
+
+    return { 
+        metric, 
+        // Slowest regressions first - those are the ones to investigate
+        regressions: compared.filter(t => t.ratio >= threshold).sort((a, b) => b.ratio - a.ratio), 
+        // Faster beyond the same threshold → consider refreshing the baseline
+        improvements: compared.filter(t => t.ratio <= 1 / threshold), 
+        // Tests with no baseline entry yet (added since the baseline was taken)
+        newTests: Object.keys(current).filter(id => !baseline.tests[id]), 
+        // Baseline of 0s → ratio would be Infinity/NaN; re-baseline these tests
+        zeroBaseline: measurable.filter(entry => !hasBaseline(entry)).map(([id]) => id) 
+    }; 
+}; 
+
+// Simulated runs: the same 6 tests with small run-to-run noise
+// Parameter: slowdown - extra seconds per test id (simulates a slow backend change)
+const simulateRuns = (count, slowdown = {}) => 
+    Array.from({ length: count }, (_, run) => 
+        testResults.map((test, i) => ({ 
+            ...test, 
+            // Deterministic "noise" of ±0.2s so the demo output is stable
+            duration: Number((test.duration + ((run + i) % 3 - 1) * 0.2 + (slowdown[test.id] || 0)).toFixed(2)) 
+        })) 
+    ); 
+
+// Build and save the baseline from 5 healthy runs (separate demo file)
+const baselineFile = saveBaseline(buildPercentileBaseline(simulateRuns(5)), 'results/perf-baseline-demo.json'); 
+const baseline = loadBaseline(baselineFile); 
+console.log(`Baseline saved: ${baselineFile} (${Object.keys(baseline.tests).length} tests)`); 
+
+// Next 5 runs: Checkout got 1.5s slower after a backend change
+const regressionReport = compareToBaseline(simulateRuns(5, { TC003: 1.5 }), baseline); 
+
+console.log(`\nRegressions (${regressionReport.metric} ≥ 1.2x baseline):`); 
+regressionReport.regressions.forEach(r => { 
+    console.log(`  🐢 ${r.id} ${r.name}: ${r.baseline}s → ${r.current}s (${r.ratio}x)`); 
+}); 
+console.log(`Improvements: ${regressionReport.improvements.length}, new tests: ${regressionReport.newTests.length}, zero baselines: ${regressionReport.zeroBaseline.length}`); 
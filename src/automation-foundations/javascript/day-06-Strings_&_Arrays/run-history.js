@@ -0,0 +1,239 @@
+// ==========================================
+// RUN HISTORY STORE
+// Keeps every test run on disk so trends survive the process
+// ==========================================
+
+// TestDataProcessor.results and the testResults array used by aggregateMetrics
+// share the shape recordRun() expects:
+//   { id?, name, status, duration, browser? }
+// TestRunner.getResults() (day-07 classes-basics.js) only has { name, status } -
+// add each test's duration before recording those
+// RunHistory appends one line per run to a JSON-lines file and answers
+// questions across runs: is the pass rate trending down? which tests got
+// slower? when did this test start failing?
+
+// Node's file system modules for reading/appending the history file
+const fs = require('fs');
+const path = require('path');
+
+// JSON LINES (.jsonl): one JSON object per line
+// - appending a run never rewrites older runs
+// - a half-written last line (crash mid-write) only loses that one run
+class RunHistory {
+    // Private field - only this class touches the file location
+    #filePath;
+
+    // Parameter: filePath - where the history lives (created on first write)
+    constructor(filePath = 'results/run-history.jsonl') {
+        this.#filePath = filePath;
+    }
+
+    // ==========================================
+    // WRITING
+    // ==========================================
+
+    // Append one run: summary + per-test outcomes
+    // Parameters:
+    //   results - array of { id?, name, status, duration, browser? }
+    //   meta    - optional extra info stored with the run (branch, commit, ...)
+    // Returns the stored run object
+    recordRun(results, meta = {}) {
+        const total = results.length;
+        const passed = results.filter(r => r.status === 'passed').length;
+        const failed = results.filter(r => r.status === 'failed').length;
+
+        const run = {
+            runId: `run_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            timestamp: new Date().toISOString(),
+            ...meta,
+            summary: {
+                total,
+                passed,
+                failed,
+                skipped: total - passed - failed,
+                // Stored as a number (not toFixed string) so trends can do math on it
+                // Executed tests only - skipped ones neither pass nor fail (as in day-05 report())
+                passRate: passed + failed > 0 ? Number(((passed / (passed + failed)) * 100).toFixed(2)) : 0,
+                totalDuration: Number(results.reduce((sum, r) => sum + r.duration, 0).toFixed(2))
+            },
+            // Tests are keyed by id when present, otherwise by name
+            tests: results.map(r => ({
+                key: r.id ?? r.name,
+                name: r.name,
+                status: r.status,
+                duration: r.duration,
+                browser: r.browser
+            }))
+        };
+
+        // recursive: true → create results/ if needed, no error if it exists
+        fs.mkdirSync(path.dirname(this.#filePath), { recursive: true });
+        fs.appendFileSync(this.#filePath, JSON.stringify(run) + '\n');
+        return run;
+    }
+
+    // Remove all stored runs (e.g. before a demo or after changing the suite)
+    clear() {
+        fs.rmSync(this.#filePath, { force: true });
+        return this;
+    }
+
+    // ==========================================
+    // READING
+    // ==========================================
+
+    // All runs, oldest first
+    // Corrupt lines are skipped with a warning instead of losing the whole history
+    loadRuns() {
+        if (!fs.existsSync(this.#filePath)) return [];
+
+        return fs.readFileSync(this.#filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .flatMap((line, index) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    console.warn(`⚠️  Skipping corrupt history line ${index + 1}: ${error.message}`);
+                    return [];
+                }
+            });
+    }
+
+    // ==========================================
+    // QUERIES
+    // ==========================================
+
+    // Pass rate per run plus the change from the previous run
+    // Parameter: limit - only the most recent N runs
+    passRateTrend(limit = 10) {
+        return this.loadRuns().slice(-limit).map((run, index, runs) => ({
+            runId: run.runId,
+            timestamp: run.timestamp,
+            passRate: run.summary.passRate,
+            // First run has nothing to compare against
+            change: index === 0
+                ? 0
+                : Number((run.summary.passRate - runs[index - 1].summary.passRate).toFixed(2))
+        }));
+    }
+
+    // Tests whose latest duration is much slower than their recent average
+    // Parameters:
+    //   threshold - 1.5 means "at least 50% slower than the baseline"
+    //   window    - how many previous runs form the baseline
+    // Only executed runs (passed/failed) with a duration count - a skipped run
+    // records 0s, which would make the ratio Infinity (same guard as compareToBaseline)
+    // Returns slowest regressions first
+    durationRegressions({ threshold = 1.5, window = 5 } = {}) {
+        const runs = this.loadRuns();
+        if (runs.length < 2) return [];
+
+        const latest = runs[runs.length - 1];
+        const previousRuns = runs.slice(-1 - window, -1);
+
+        const executed = t => (t.status === 'passed' || t.status === 'failed') && t.duration > 0;
+
+        return latest.tests
+            .map(test => {
+                if (!executed(test)) return null;          // Skipped now - no duration to judge
+
+                // Durations of this test in the baseline runs (only where it ran)
+                const baseline = previousRuns
+                    .map(run => run.tests.find(t => t.key === test.key))
+                    .filter(t => t && executed(t))
+                    .map(t => t.duration);
+                if (baseline.length === 0) return null;   // New (or never executed) - nothing to compare
+
+                const average = baseline.reduce((a, b) => a + b, 0) / baseline.length;
+                if (average === 0) return null;
+                return {
+                    key: test.key,
+                    name: test.name,
+                    baseline: Number(average.toFixed(2)),
+                    latest: test.duration,
+                    ratio: Number((test.duration / average).toFixed(2))
+                };
+            })
+            .filter(entry => entry && entry.ratio >= threshold)
+            .sort((a, b) => b.ratio - a.ratio);
+    }
+
+    // For every test failing in the latest run: the run where the failure began
+    // Walks backwards until the last passing run - the run after it is the first failure
+    // failingFor = how many consecutive runs it has been failing
+    firstFailingRuns() {
+        const runs = this.loadRuns();
+        if (runs.length === 0) return [];
+
+        const latest = runs[runs.length - 1];
+        return latest.tests
+            .filter(test => test.status === 'failed')
+            .map(test => {
+                let firstFailing = latest;
+                let failingFor = 0;
+
+                for (let i = runs.length - 1; i >= 0; i--) {
+                    const outcome = runs[i].tests.find(t => t.key === test.key);
+                    // Stop at a pass, or at a run where the test didn't exist yet
+                    if (!outcome || outcome.status !== 'failed') break;
+                    firstFailing = runs[i];
+                    failingFor++;
+                }
+
+                return {
+                    key: test.key,
+                    name: test.name,
+                    runId: firstFailing.runId,
+                    timestamp: firstFailing.timestamp,
+                    failingFor
+                };
+            });
+    }
+}
+
+// ==========================================
+// USAGE EXAMPLE
+// ==========================================
+
+console.log("🗂️  RUN HISTORY DEMO\n");
+
+// Separate demo file so the demo never touches real history
+const history = new RunHistory('results/run-history-demo.jsonl').clear();
+
+// Five simulated nightly runs (same shape as testResults in professional-arrays.js)
+// - Checkout starts failing in run 4
+// - Search gets much slower in run 5
+const nightlyRuns = [
+    { checkout: 'passed', searchTime: 3.1 },
+    { checkout: 'passed', searchTime: 3.3 },
+    { checkout: 'passed', searchTime: 2.9 },
+    { checkout: 'failed', searchTime: 3.2 },
+    { checkout: 'failed', searchTime: 6.8 }
+];
+
+nightlyRuns.forEach(({ checkout, searchTime }, index) => {
+    history.recordRun([
+        { id: 'TC001', name: 'Login', status: 'passed', duration: 2.5, browser: 'chrome' },
+        { id: 'TC002', name: 'Search', status: 'passed', duration: searchTime, browser: 'firefox' },
+        { id: 'TC003', name: 'Checkout', status: checkout, duration: 4.1, browser: 'chrome' }
+    ], { build: index + 1 });
+});
+
+console.log("📈 Pass rate trend:");
+history.passRateTrend().forEach(({ passRate, change }, index) => {
+    const arrow = change > 0 ? '↑' : change < 0 ? '↓' : '→';
+    console.log(`  Run ${index + 1}: ${passRate}% ${arrow} ${change !== 0 ? change : ''}`);
+});
+
+console.log("\n🐢 Duration regressions (≥ 1.5x baseline):");
+history.durationRegressions().forEach(r => {
+    console.log(`  ${r.name}: ${r.baseline}s → ${r.latest}s (${r.ratio}x)`);
+});
+
+console.log("\n🔍 First failing run per failing test:");
+const runs = history.loadRuns();
+history.firstFailingRuns().forEach(f => {
+    const build = runs.find(run => run.runId === f.runId).build;
+    console.log(`  ${f.name}: failing since build ${build} (${f.failingFor} run(s))`);
+});
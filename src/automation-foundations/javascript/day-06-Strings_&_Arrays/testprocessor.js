@@ -1,5 +1,391 @@
 // Professional Test Data Processor 
 
+// Node's file system modules for streaming large CSV files in and out
+const fs = require('fs'); 
+const path = require('path'); 
+// once() waits for a single event - used to respect write stream backpressure
+const { once } = require('events'); 
+// readline splits a stream into lines without loading the whole file
+const readline = require('readline'); 
+
+// ========================================== 
+// RFC 4180 CSV PARSER 
+// ========================================== 
+
+// Incremental CSV parser - feed it text in chunks, get back completed rows
+// Handles everything a naive split(',') breaks on:
+//   - quoted fields:      "Login, then logout"
+//   - escaped quotes:     "Said ""hello"""  →  Said "hello"
+//   - newlines in quotes: "line 1\nline 2"
+//   - CRLF, LF or CR line endings (even when \r\n is split across two chunks)
+// Because state is kept between push() calls, a file can be parsed piece by piece
+class CSVParser { 
+    // Parameters:
+    //   delimiter - field separator (',' by default, ';' or '\t' for other tools)
+    //   trim - trim whitespace around UNQUOTED fields (quoted content is kept exactly)
+    constructor({ delimiter = ',', trim = true } = {}) { 
+        this.delimiter = delimiter; 
+        this.trim = trim; 
+        this.row = [];            // Fields of the row being built 
+        this.field = '';          // Characters of the field being built 
+        this.quoted = false;      // Current field started with a quote 
+        this.quotedFields = [];   // Which fields of the current row were quoted 
+        this.inQuotes = false;    // Currently between opening and closing quote 
+        this.closedQuote = false; // Previous character closed the quotes (or starts "") 
+        this.skipLF = false;      // Last chunk ended with \r - ignore a leading \n 
+        this.line = 1;            // For error messages 
+    } 
+    
+    // Finish the current field and add it to the row
+    endField() { 
+        this.row.push(this.quoted || !this.trim ? this.field : this.field.trim()); 
+        this.quotedFields.push(this.quoted); 
+        this.field = ''; 
+        this.quoted = false; 
+    } 
+    
+    // Finish the current row; blank lines are skipped
+    // row.quoted[i] tells whether field i was quoted ("007" is text, 007 a number)
+    endRow(rows) { 
+        this.endField(); 
+        const blank = this.row.length === 1 && this.row[0] === ''; 
+        this.row.quoted = this.quotedFields; 
+        if (!blank) rows.push(this.row); 
+        this.row = []; 
+        this.quotedFields = []; 
+    } 
+    
+    // Parse one chunk of text
+    // Returns an array of rows (each row is an array of strings) completed by this chunk
+    push(chunk) { 
+        const rows = []; 
+        
+        // Excel and many test-management tools start UTF-8 exports with a BOM
+        if (this.line === 1 && this.row.length === 0 && this.field === '') { 
+            chunk = chunk.replace(/^\uFEFF/, ''); 
+        } 
+        
+        for (let i = 0; i < chunk.length; i++) { 
+            const char = chunk[i]; 
+            
+            // Second half of a \r\n pair - the row already ended at \r
+            if (this.skipLF) { 
+                this.skipLF = false; 
+                if (char === '\n') continue; 
+            } 
+            
+            if (this.inQuotes) { 
+                // A quote inside quotes either closes the field or starts an escaped ""
+                // - the next character decides (it may arrive in the next chunk)
+                if (char === '"') { 
+                    this.inQuotes = false; 
+                    this.closedQuote = true; 
+                } else { 
+                    if (char === '\n') this.line++; 
+                    this.field += char; 
+                } 
+                continue; 
+            } 
+            
+            // "" → the quote we just "closed" was an escaped quote; back inside quotes
+            if (char === '"' && this.closedQuote) { 
+                this.field += '"'; 
+                this.inQuotes = true; 
+                this.closedQuote = false; 
+                continue; 
+            } 
+            this.closedQuote = false; 
+            
+            if (char === '"' && this.field.trim() === '' && !this.quoted) { 
+                // Opening quote (whitespace before it is ignored)
+                this.field = ''; 
+                this.quoted = true; 
+                this.inQuotes = true; 
+            } else if (char === this.delimiter) { 
+                this.endField(); 
+            } else if (char === '\n' || char === '\r') { 
+                this.endRow(rows); 
+                this.line++; 
+                this.skipLF = char === '\r'; 
+            } else if (this.quoted) { 
+                // Whitespace after a closing quote is fine, anything else is malformed
+                if (char.trim() !== '') { 
+                    throw new Error(`CSV line ${this.line}: unexpected "${char}" after closing quote`); 
+                } 
+            } else { 
+                this.field += char; 
+            } 
+        } 
+        
+        return rows; 
+    } 
+    
+    // Flush the last row (files often don't end with a newline)
+    end() { 
+        if (this.inQuotes) { 
+            throw new Error(`CSV line ${this.line}: unterminated quoted field`); 
+        } 
+        const rows = []; 
+        if (this.row.length > 0 || this.field !== '' || this.quoted) this.endRow(rows); 
+        return rows; 
+    } 
+} 
+
+// ========================================== 
+// VALIDATION SCHEMAS 
+// ========================================== 
+
+// Thrown by validate(schema, { strict: true }) - carries the full report
+class ValidationError extends Error { 
+    constructor(message, report) { 
+        super(message); 
+        this.name = 'ValidationError'; 
+        this.report = report; 
+    } 
+} 
+
+// A schema describes what a valid record looks like:
+//   fields - per-field rules, keyed by field name ('env.os' reaches nested values)
+//     required   - must be present (not undefined, null or '')
+//     type       - 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+//     enum       - list of allowed values
+//     min / max  - numeric range (inclusive)
+//     minLength / maxLength - string length range
+//     pattern    - RegExp the (string) value must match
+//   rules - cross-field checks: { name, columns, check(record) → true/false, message }
+// Optional fields are only checked when they have a value
+
+// Default schema - the checks validate() always did for test results
+const TEST_RESULT_SCHEMA = { 
+    fields: { 
+        id: { required: true }, 
+        name: { required: true, type: 'string' }, 
+        duration: { required: true, type: 'number', min: 0 }, 
+        status: { required: true, enum: ['passed', 'failed', 'skipped'] } 
+    } 
+}; 
+
+// ========================================== 
+// IMPORT FORMATS 
+// ========================================== 
+
+// Decode the five XML entities (&amp; must be last so "&amp;lt;" stays "&lt;")
+const decodeXml = (text) => text 
+    .replace(/&lt;/g, '<') 
+    .replace(/&gt;/g, '>') 
+    .replace(/&quot;/g, '"') 
+    .replace(/&apos;/g, "'") 
+    .replace(/&amp;/g, '&'); 
+
+// name="value" pairs of one XML tag → object
+const parseXmlAttributes = (attributeText) => 
+    Object.fromEntries([...attributeText.matchAll(/([\w:.-]+)="([^"]*)"/g)] 
+        .map(([, key, value]) => [key, decodeXml(value)])); 
+
+// JUnit XML (Jenkins, Playwright, pytest, our createJUnitReporter) → records
+// Only what test results need: <testsuite> and <testcase> with
+// <failure>/<error> (failed) or <skipped> children; time is in seconds
+const readJUnitXml = (xml) => 
+    [...xml.matchAll(/<testsuite\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testsuite>)/g)] 
+        .flatMap(([, suiteAttributes, suiteBody = '']) => { 
+            const suite = parseXmlAttributes(suiteAttributes).name; 
+            // Self-closing <testcase .../> or <testcase ...>...</testcase>
+            return [...suiteBody.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)] 
+                .map(([, caseAttributes, caseBody = '']) => { 
+                    const { name, classname, time } = parseXmlAttributes(caseAttributes); 
+                    const failure = caseBody.match(/<(failure|error)\b([^>]*)/); 
+                    return { 
+                        id: classname ? `${classname}.${name}` : name, 
+                        name, 
+                        suite, 
+                        status: failure ? 'failed' : /<skipped\b/.test(caseBody) ? 'skipped' : 'passed', 
+                        duration: parseFloat(time) || 0, 
+                        message: failure ? parseXmlAttributes(failure[2]).message : undefined 
+                    }; 
+                }); 
+        }); 
+
+// One YAML scalar → string / number / boolean / null / flow list [a, b]
+const parseYamlScalar = (text) => { 
+    if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'"); 
+    if (/^".*"$/.test(text)) return JSON.parse(text); 
+    if (/^\[.*\]$/.test(text)) { 
+        const inner = text.slice(1, -1).trim(); 
+        return inner === '' ? [] : inner.split(',').map(item => parseYamlScalar(item.trim())); 
+    } 
+    if (text === 'true' || text === 'false') return text === 'true'; 
+    if (text === 'null' || text === '~' || text === '') return null; 
+    if (!isNaN(text)) return parseFloat(text); 
+    return text; 
+}; 
+
+// Remove a YAML comment from one line
+// '#' only starts a comment at line start or after whitespace, and never
+// inside quotes: error: "Expected # of rows" keeps its whole value
+const stripYamlComment = (line) => { 
+    let quote = null; 
+    for (let i = 0; i < line.length; i++) { 
+        const char = line[i]; 
+        if (quote === "'") { 
+            // '' inside single quotes is an escaped quote, not the closing one
+            if (char === "'" && line[i + 1] === "'") i++; 
+            else if (char === "'") quote = null; 
+        } else if (quote === '"') { 
+            if (char === '\\') i++;   // Skip the escaped character 
+            else if (char === '"') quote = null; 
+        } else if (char === '"' || char === "'") { 
+            quote = char; 
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) { 
+            return line.slice(0, i); 
+        } 
+    } 
+    return line; 
+}; 
+
+// Small YAML reader for result files - the block subset test tools write:
+// nested mappings, "- " sequences (of scalars or mappings), quoted strings,
+// flow lists [a, b] and # comments. No anchors, multi-line strings or multiple documents
+const readYaml = (yaml) => { 
+    // Keep meaningful lines with their indentation; drop comments and '---'
+    const lines = yaml.split(/\r?\n/) 
+        .map(line => stripYamlComment(line).trimEnd()) 
+        .filter(line => line.trim() !== '' && line.trim() !== '---') 
+        .map(line => ({ indent: line.length - line.trimStart().length, text: line.trim() })); 
+    
+    // Parse the block starting at lines[index]; returns [value, nextIndex]
+    const parseBlock = (index) => { 
+        const indent = lines[index].indent; 
+        
+        // Sequence: "- item" lines at the same indentation
+        if (lines[index].text.startsWith('-')) { 
+            const items = []; 
+            while (index < lines.length && lines[index].indent === indent && lines[index].text.startsWith('-')) { 
+                const rest = lines[index].text.slice(1).trimStart(); 
+                if (rest === '') { 
+                    // "-" alone → the item is the indented block below
+                    const [value, next] = parseBlock(index + 1); 
+                    items.push(value); 
+                    index = next; 
+                } else if (/^[^'"[][^:]*:(\s|$)/.test(rest)) { 
+                    // "- key: value" → a mapping whose keys line up with "key"
+                    lines[index] = { indent: indent + lines[index].text.indexOf(rest), text: rest }; 
+                    const [value, next] = parseBlock(index); 
+                    items.push(value); 
+                    index = next; 
+                } else { 
+                    items.push(parseYamlScalar(rest)); 
+                    index++; 
+                } 
+            } 
+            return [items, index]; 
+        } 
+        
+        // Mapping: "key: value" lines at the same indentation
+        const mapping = {}; 
+        while (index < lines.length && lines[index].indent === indent && !lines[index].text.startsWith('- ')) { 
+            const [, key, value] = lines[index].text.match(/^([^:]+):\s*(.*)$/) ?? []; 
+            if (key === undefined) throw new Error(`YAML: expected "key: value" but got "${lines[index].text}"`); 
+            index++; 
+            
+            const next = lines[index]; 
+            // Empty value → nested block (deeper, or a "- " list at the same indentation)
+            if (value === '' && next && (next.indent > indent || (next.indent === indent && next.text.startsWith('-')))) { 
+                [mapping[key.trim()], index] = parseBlock(index); 
+            } else { 
+                mapping[key.trim()] = parseYamlScalar(value); 
+            } 
+        } 
+        return [mapping, index]; 
+    }; 
+    
+    return lines.length === 0 ? [] : parseBlock(0)[0]; 
+}; 
+
+// Registered readers: name → { reader(text, options), extensions }
+// Readers are called with this = the processor (see importData)
+// Add more with TestDataProcessor.registerFormat()
+const IMPORT_FORMATS = new Map([ 
+    ['csv', { reader(text, options) { return this.parseCSV(text, options); }, extensions: ['.csv'] }], 
+    ['tsv', { reader(text, options) { return this.parseCSV(text, { ...options, delimiter: '\t' }); }, extensions: ['.tsv'] }], 
+    ['json', { reader: (text) => JSON.parse(text), extensions: ['.json'] }], 
+    // NDJSON / JSON Lines: one record per line (RunHistory files use this too)
+    ['ndjson', { 
+        reader: (text) => text.split(/\r?\n/) 
+            .map((line, index) => ({ line: line.trim(), number: index + 1 })) 
+            .filter(({ line }) => line !== '') 
+            .map(({ line, number }) => { 
+                try { 
+                    return JSON.parse(line); 
+                } catch (error) { 
+                    throw new Error(`NDJSON line ${number}: ${error.message}`); 
+                } 
+            }), 
+        extensions: ['.ndjson', '.jsonl'] 
+    }], 
+    // YAML files usually wrap the list: { results: [...] } → use the first list found
+    ['yaml', { 
+        reader: (text) => { 
+            const data = readYaml(text); 
+            return Array.isArray(data) ? data : Object.values(data).find(Array.isArray) ?? [data]; 
+        }, 
+        extensions: ['.yaml', '.yml'] 
+    }], 
+    ['junit', { reader: readJUnitXml, extensions: ['.xml'] }] 
+]); 
+
+// ========================================== 
+// RUNNING STATISTICS 
+// ========================================== 
+
+// Factory for running totals: add() one record at a time, metrics() at any point
+// Nothing is stored per record, so it works for 10 rows or 10 million
+// (Math.max(...durations) throws a RangeError once an array gets too big
+//  to spread into function arguments - comparing as we go never does)
+const createRunningStats = () => { 
+    let total = 0; 
+    let passed = 0; 
+    let failed = 0; 
+    // Only positive durations count towards average / slowest / fastest
+    let durationSum = 0; 
+    let durationCount = 0; 
+    let slowest = -Infinity; 
+    let fastest = Infinity; 
+    
+    return { 
+        add(record) { 
+            total++; 
+            if (record.status === 'passed') passed++; 
+            if (record.status === 'failed') failed++; 
+            if (record.duration > 0) { 
+                durationSum += record.duration; 
+                durationCount++; 
+                slowest = Math.max(slowest, record.duration); 
+                fastest = Math.min(fastest, record.duration); 
+            } 
+        }, 
+        
+        // Same shape analyze() has always produced
+        // Nothing to measure (no records / no durations) → null, like summarize(),
+        // instead of NaN or ±Infinity
+        metrics() { 
+            return { 
+                total,              // Total test count 
+                passed,             // Passed test count 
+                failed,             // Failed test count 
+                
+                // .toFixed(2) rounds to 2 decimal places, returns string
+                passRate: total > 0 ? ((passed / total) * 100).toFixed(2) : null, 
+                avgDuration: durationCount > 0 ? (durationSum / durationCount).toFixed(2) : null, 
+                slowest: durationCount > 0 ? slowest : null, 
+                fastest: durationCount > 0 ? fastest : null 
+            }; 
+        } 
+    }; 
+}; 
+
+// Field names that would modify Object.prototype instead of the record
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']); 
+
 // ES6 Class definition for processing test automation data
 // Classes provide a cleaner way to create objects with methods
 class TestDataProcessor { 
@@ -11,6 +397,9 @@ class TestDataProcessor {
         
         // Initialize metrics as null - will hold analysis results later
         this.metrics = null; 
+        
+        // Last report from validate() - null until validate() runs
+        this.validationReport = null; 
     } 
     
     // ========================================== 
@@ -18,40 +407,18 @@ class TestDataProcessor {
     // ========================================== 
     
     // Method to import CSV format data and convert to objects
-    // Parameter: csvString - multiline CSV text
-    importCSV(csvString) { 
+    // Parameters:
+    //   csvString - multiline CSV text (RFC 4180: quotes, "" escapes, CRLF all supported)
+    //   options.delimiter - field separator, default ','
+    //   options.trim - trim unquoted fields, default true
+    //   options.headerMap - rename columns: { 'Test ID': 'id' } or (header) => newName
+    //                       (map a column to null to drop it)
+    importCSV(csvString, options = {}) { 
         // Display import start message with emoji
         console.log('📥 Importing CSV data...'); 
         
-        // .trim() removes leading/trailing whitespace
-        // .split('\n') breaks string into array of lines
-        const lines = csvString.trim().split('\n'); 
-        
-        // First line contains headers (column names)
-        // .split(',') breaks header line into array
-        // .map(h => h.trim()) removes whitespace from each header
-        const headers = lines[0].split(',').map(h => h.trim()); 
-        
-        // Process data rows (skip header with .slice(1))
-        // .map transforms each line into an object
-        this.results = lines.slice(1).map(line => { 
-            // Split current line by comma to get values
-            const values = line.split(','); 
-            
-            // reduce() builds object from headers and values
-            // obj is accumulator (empty object {}), header is current header
-            // index tracks position to get corresponding value
-            return headers.reduce((obj, header, index) => { 
-                // Set property on object using header as key
-                // values[index] gets value at same position as header
-                // ?. optional chaining handles undefined values
-                // normalizeValue converts string values to proper types
-                obj[header] = this.normalizeValue(values[index]?.trim()); 
-                
-                // Return object for next iteration
-                return obj; 
-            }, {}); // Start with empty object
-        }); 
+        // Parse rows and turn them into record objects
+        this.results = this.parseCSV(csvString, options); 
         
         // Display success message with count
         console.log(`✅ Imported ${this.results.length} records`); 
@@ -61,6 +428,90 @@ class TestDataProcessor {
         return this; 
     } 
     
+    // Streaming version of importCSV for large files (same options)
+    // Reads the file in chunks instead of loading one giant string into memory
+    // async - returns a Promise, use: await processor.importCSVFile(path)
+    async importCSVFile(filePath, options = {}) { 
+        console.log(`📥 Streaming CSV file ${filePath}...`); 
+        
+        const parser = new CSVParser(options); 
+        let headers = null; 
+        this.results = []; 
+        
+        // First completed row is the header, every row after it is a record
+        const addRows = rows => rows.forEach(values => { 
+            if (!headers) headers = this.mapHeaders(values, options.headerMap); 
+            else this.results.push(this.toRecord(headers, values)); 
+        }); 
+        
+        // encoding: 'utf8' → chunks are strings, multi-byte characters never split
+        for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) { 
+            addRows(parser.push(chunk)); 
+        } 
+        addRows(parser.end()); 
+        
+        console.log(`✅ Imported ${this.results.length} records`); 
+        return this; 
+    } 
+    
+    // CSV text → array of records (shared by importCSV and the 'csv'/'tsv' formats)
+    parseCSV(csvString, options = {}) { 
+        // Parse the whole string in one push() - end() flushes a last row without newline
+        const parser = new CSVParser(options); 
+        const [headerRow = [], ...dataRows] = [...parser.push(csvString), ...parser.end()]; 
+        
+        // First row contains headers (column names), renamed via headerMap
+        const headers = this.mapHeaders(headerRow, options.headerMap); 
+        
+        // Process data rows - each array of values becomes one object
+        return dataRows.map(values => this.toRecord(headers, values)); 
+    } 
+    
+    // Apply headerMap to the header row
+    // Parameter: headerMap - object lookup or function; missing entries keep the original name
+    // Throws for dotted headers that would reach Object.prototype ('__proto__.x')
+    mapHeaders(headerRow, headerMap = {}) { 
+        return headerRow.map((header, index) => { 
+            const mapped = typeof headerMap === 'function' 
+                ? headerMap(header, index) 
+                : Object.hasOwn(headerMap, header) ? headerMap[header] : undefined; 
+            // undefined → not mapped, keep header; null → drop the column
+            const name = mapped === undefined ? header : mapped; 
+            const unsafe = name?.split('.').find(key => UNSAFE_KEYS.has(key)); 
+            if (unsafe !== undefined) { 
+                throw new Error(`CSV header "${name}": "${unsafe}" is not allowed as a field name`); 
+            } 
+            return name; 
+        }); 
+    } 
+    
+    // Build one record object from headers and the values of one row
+    toRecord(headers, values) { 
+        // reduce() builds object from headers and values
+        // obj is accumulator (empty object {}), header is current header
+        // index tracks position to get corresponding value
+        return headers.reduce((obj, header, index) => { 
+            // Dropped column (headerMap → null)
+            if (header === null) return obj; 
+            
+            // Dotted headers rebuild nested objects: 'env.os' → obj.env.os
+            // (exportCSV flattens nested objects the same way)
+            const keys = header.split('.'); 
+            const last = keys.pop(); 
+            // Creates the intermediate object only if the record doesn't have it yet
+            // (own properties only - never walks into inherited ones)
+            const target = keys.reduce((node, key) => 
+                Object.hasOwn(node, key) ? node[key] : (node[key] = {}), obj); 
+            
+            // normalizeValue converts string values to proper types
+            // (quoted CSV fields stay text - see CSVParser.endRow)
+            target[last] = this.normalizeValue(values[index], { quoted: values.quoted?.[index] }); 
+            
+            // Return object for next iteration
+            return obj; 
+        }, {}); // Start with empty object 
+    } 
+    
     // Method to import JSON format data
     // Parameter: jsonString - JSON text
     importJSON(jsonString) { 
@@ -89,9 +540,76 @@ class TestDataProcessor {
         return this; 
     } 
     
+    // Import text in any registered format ('csv', 'junit', 'yaml', ... or a custom one)
+    // Parameters:
+    //   text - file content
+    //   format - name used with registerFormat()
+    //   options - passed through to the reader (e.g. headerMap for csv)
+    importData(text, format, options = {}) { 
+        const entry = IMPORT_FORMATS.get(format); 
+        if (!entry) { 
+            throw new Error(`Unknown format "${format}" (registered: ${[...IMPORT_FORMATS.keys()].join(', ')})`); 
+        } 
+        
+        console.log(`📥 Importing ${format} data...`); 
+        // .call(this, ...) → readers can reuse helpers like this.parseCSV / this.normalizeValue
+        const records = entry.reader.call(this, text, options); 
+        this.results = Array.isArray(records) ? records : [records]; 
+        // Old metrics describe the previous data
+        this.metrics = null; 
+        
+        console.log(`✅ Imported ${this.results.length} records`); 
+        return this; 
+    } 
+    
+    // Read a whole file and import it; the format comes from the extension
+    // unless options.format is given (e.g. 'junit' for a file named results.txt)
+    // For very large CSV files use importCSVFile() instead (streams in chunks)
+    importFile(filePath, options = {}) { 
+        const format = options.format ?? TestDataProcessor.formatForFile(filePath); 
+        return this.importData(fs.readFileSync(filePath, 'utf8'), format, options); 
+    } 
+    
+    // Register a reader so importData/importFile understand a new format
+    // Parameters:
+    //   name - format name, e.g. 'mocha-json'
+    //   reader - (text, options) => array of records { id, name, status, duration, ... }
+    //   options.extensions - file extensions that mean this format, e.g. ['.mocha.json']
+    // static → called on the class: TestDataProcessor.registerFormat(...)
+    static registerFormat(name, reader, { extensions = [] } = {}) { 
+        IMPORT_FORMATS.set(name, { reader, extensions }); 
+        return TestDataProcessor; 
+    } 
+    
+    // Find the format for a file name - longest matching extension wins,
+    // so 'run.mocha.json' picks 'mocha-json' over plain 'json'
+    static formatForFile(filePath) { 
+        const matches = [...IMPORT_FORMATS] 
+            .flatMap(([name, { extensions }]) => extensions.map(ext => ({ name, ext }))) 
+            .filter(({ ext }) => filePath.toLowerCase().endsWith(ext)) 
+            .sort((a, b) => b.ext.length - a.ext.length); 
+        if (matches.length === 0) throw new Error(`Can't tell the format of ${filePath} - pass options.format`); 
+        return matches[0].name; 
+    } 
+    
     // Helper method to convert string values to appropriate types
-    // Parameter: value - string value from CSV
-    normalizeValue(value) { 
+    // Parameters:
+    //   value - string value from CSV
+    //   options.quoted - the field was quoted → keep it a string ("007", "true");
+    //                    only JSON arrays are still decoded (exportCSV quotes them)
+    normalizeValue(value, { quoted = false } = {}) { 
+        // Arrays are exported as JSON text (e.g. tags) - turn them back into arrays
+        if (typeof value === 'string' && value.startsWith('[') && value.endsWith(']')) { 
+            try { 
+                return JSON.parse(value); 
+            } catch { 
+                // Not valid JSON - keep the text as-is
+            } 
+        } 
+        
+        // Quoted on purpose - no number/boolean/null conversion
+        if (quoted) return value; 
+        
         // Check if value is string 'true', convert to boolean true
         if (value === 'true') return true; 
         
@@ -115,52 +633,70 @@ class TestDataProcessor {
     // DATA VALIDATION 
     // ========================================== 
     
-    // Method to validate imported data for required fields and formats
-    validate() { 
+    // Method to validate imported data against a schema
+    // Parameters:
+    //   schema - see TEST_RESULT_SCHEMA above (defaults to it)
+    //   options.strict - throw a ValidationError instead of only warning
+    // The structured report is stored in this.validationReport:
+    //   { valid, recordsChecked, invalidRecords, errors: [{ row, column, value, rule, message }] }
+    validate(schema = TEST_RESULT_SCHEMA, { strict = false } = {}) { 
         // Display validation start message
         console.log('\n🔍 Validating data...'); 
         
-        // Check each result and collect validation errors
-        // .map transforms each result into validation report
-        const issues = this.results.map((result, index) => { 
-            // Array to store error messages for this result
-            const errors = []; 
+        // Check every record; flatMap merges each record's error list into one array
+        const errors = this.results.flatMap((record, index) => { 
+            // index + 1 because users expect 1-based counting (not 0-based)
+            const row = index + 1; 
             
-            // Check if ID field exists
-            // !result.id is true if id is missing, undefined, null, or empty
-            if (!result.id) errors.push('Missing ID'); 
+            // Field rules - one entry per broken rule, each pointing at its column
+            const fieldErrors = Object.entries(schema.fields ?? {}).flatMap(([column, rules]) => 
+                this.checkField(this.getField(record, column), rules) 
+                    .map(({ rule, message }) => ({ row, column, value: this.getField(record, column), rule, message })) 
+            ); 
             
-            // Check if name field exists
-            if (!result.name) errors.push('Missing name'); 
-            
-            // Check if duration is valid number and not negative
-            // typeof checks data type
-            // || means OR - either condition makes if true
-            if (typeof result.duration !== 'number' || result.duration < 0) { 
-                errors.push('Invalid duration'); 
-            } 
-            
-            // Check if status is one of allowed values
-            // .includes() checks if array contains value
-            if (!['passed', 'failed', 'skipped'].includes(result.status)) { 
-                errors.push('Invalid status'); 
-            } 
+            // Cross-field rules (e.g. "failed tests must have an error message")
+            // A check that throws (e.g. reads a missing field) counts as a broken rule
+            // instead of crashing validate() - non-strict mode always returns a report
+            const ruleErrors = (schema.rules ?? []).flatMap(rule => { 
+                let passed; 
+                let message = rule.message; 
+                try { 
+                    passed = rule.check(record); 
+                } catch (error) { 
+                    passed = false; 
+                    message = `${rule.message} (check threw: ${error.message})`; 
+                } 
+                return passed ? [] : [{ 
+                    row, 
+                    column: (rule.columns ?? []).join(', '), 
+                    value: undefined, 
+                    rule: rule.name, 
+                    message 
+                }]; 
+            }); 
             
-            // Return validation report for this result
-            return { index, errors }; 
-        }).filter(item => item.errors.length > 0); 
-        // .filter keeps only items with errors (length > 0)
+            return [...fieldErrors, ...ruleErrors]; 
+        }); 
+        
+        this.validationReport = { 
+            valid: errors.length === 0, 
+            recordsChecked: this.results.length, 
+            // Set drops duplicates - one record can break several rules
+            invalidRecords: new Set(errors.map(error => error.row)).size, 
+            errors 
+        }; 
         
         // Check if any validation issues were found
-        if (issues.length > 0) { 
-            // Display warning about invalid records
-            console.warn(`⚠️  Found ${issues.length} invalid records`); 
+        if (errors.length > 0) { 
+            const summary = `Found ${this.validationReport.invalidRecords} invalid records (${errors.length} errors)`; 
+            
+            // Strict mode: stop the pipeline - bad test data makes every later number wrong
+            if (strict) throw new ValidationError(summary, this.validationReport); 
             
-            // Loop through issues and display details
-            issues.forEach(issue => { 
-                // index + 1 because users expect 1-based counting (not 0-based)
-                // .join(', ') combines error array into comma-separated string
-                console.log(`  Row ${issue.index + 1}: ${issue.errors.join(', ')}`); 
+            // Display warning about invalid records with row/column references
+            console.warn(`⚠️  ${summary}`); 
+            errors.forEach(error => { 
+                console.log(`  Row ${error.row}, ${error.column || 'record'}: ${error.message}`); 
             }); 
         } else { 
             // If no issues, display success message
@@ -171,6 +707,57 @@ class TestDataProcessor {
         return this; 
     } 
     
+    // Read a field by name; dotted names reach into nested objects ('env.os')
+    getField(record, column) { 
+        // ?. stops at missing levels instead of throwing
+        return column.split('.').reduce((value, key) => value?.[key], record); 
+    } 
+    
+    // Check one value against one field's rules
+    // Returns an array of { rule, message } for every rule it breaks
+    checkField(value, rules) { 
+        const missing = value === undefined || value === null || value === ''; 
+        if (missing) { 
+            return rules.required ? [{ rule: 'required', message: 'is required' }] : []; 
+        } 
+        
+        const errors = []; 
+        
+        // Type check first - range/length/pattern only make sense on the right type
+        const actualType = Array.isArray(value) ? 'array' : typeof value; 
+        const typeOk = !rules.type 
+            || (rules.type === 'integer' ? Number.isInteger(value) : actualType === rules.type); 
+        if (!typeOk) { 
+            errors.push({ rule: 'type', message: `must be ${rules.type} (got ${actualType} ${JSON.stringify(value)})` }); 
+            return errors; 
+        } 
+        
+        if (rules.enum && !rules.enum.includes(value)) { 
+            errors.push({ rule: 'enum', message: `must be one of ${rules.enum.join('/')} (got ${JSON.stringify(value)})` }); 
+        } 
+        if (typeof value === 'number') { 
+            if (rules.min !== undefined && value < rules.min) { 
+                errors.push({ rule: 'min', message: `must be >= ${rules.min} (got ${value})` }); 
+            } 
+            if (rules.max !== undefined && value > rules.max) { 
+                errors.push({ rule: 'max', message: `must be <= ${rules.max} (got ${value})` }); 
+            } 
+        } 
+        if (typeof value === 'string') { 
+            if (rules.minLength !== undefined && value.length < rules.minLength) { 
+                errors.push({ rule: 'minLength', message: `must be at least ${rules.minLength} characters` }); 
+            } 
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) { 
+                errors.push({ rule: 'maxLength', message: `must be at most ${rules.maxLength} characters` }); 
+            } 
+            if (rules.pattern && !rules.pattern.test(value)) { 
+                errors.push({ rule: 'pattern', message: `must match ${rules.pattern} (got "${value}")` }); 
+            } 
+        } 
+        
+        return errors; 
+    } 
+    
     // ========================================== 
     // DATA ANALYSIS 
     // ========================================== 
@@ -180,52 +767,13 @@ class TestDataProcessor {
         // Display analysis start message
         console.log('\n📊 Analyzing results...'); 
         
-        // Count total number of results
-        const total = this.results.length; 
-        
-        // Count passed tests
-        // .filter creates new array with only items matching condition
-        // r => r.status === 'passed' checks if status is 'passed'
-        // .length gives count of filtered items
-        const passed = this.results.filter(r => r.status === 'passed').length; 
-        
-        // Count failed tests using same pattern
-        const failed = this.results.filter(r => r.status === 'failed').length; 
-        
-        // Extract all valid durations (greater than 0)
-        // First .map extracts just duration values
-        // Second .filter keeps only positive durations
-        const durations = this.results.map(r => r.duration).filter(d => d > 0); 
-        
-        // Calculate average duration
-        // .reduce sums all durations: (a, b) => a + b
-        // Start with 0 as initial value
-        // Divide sum by count to get average
-        const avgDuration = durations.reduce((a, b) => a + b, 0) / durations.length; 
+        // Feed every record into running totals - the same code analyzeFile()
+        // uses for files that don't fit in memory, so both give identical metrics
+        const stats = createRunningStats(); 
+        this.results.forEach(record => stats.add(record)); 
         
         // Store all calculated metrics in metrics object
-        this.metrics = { 
-            total,              // Total test count
-            passed,             // Passed test count
-            failed,             // Failed test count
-            
-            // Calculate pass rate percentage
-            // (passed / total) * 100 gives percentage
-            // .toFixed(2) rounds to 2 decimal places, returns string
-            passRate: ((passed / total) * 100).toFixed(2), 
-            
-            // Format average duration to 2 decimal places
-            avgDuration: avgDuration.toFixed(2), 
-            
-            // Find maximum duration using spread operator
-            // ...durations spreads array into individual arguments
-            // Math.max returns largest value
-            slowest: Math.max(...durations), 
-            
-            // Find minimum duration
-            // Math.min returns smallest value
-            fastest: Math.min(...durations) 
-        }; 
+        this.metrics = stats.metrics(); 
         
         // Display completion message
         console.log('✅ Analysis complete'); 
@@ -234,6 +782,152 @@ class TestDataProcessor {
         return this; 
     } 
     
+    // Streaming analysis for result files with millions of rows
+    // Reads one line at a time and only keeps running totals, so memory stays
+    // flat no matter how big the file is (this.results is NOT filled)
+    // Supported: csv / tsv (chunked CSVParser) and ndjson (line by line)
+    // Parameters:
+    //   filePath - result file; format from extension or options.format
+    //   options.groupBy - also keep totals per value of this field (e.g. 'browser')
+    //   other options go to the CSV parser (delimiter, headerMap, ...)
+    // Sets this.metrics (same shape as analyze()) so generateReport() works afterwards
+    async analyzeFile(filePath, options = {}) { 
+        const format = options.format ?? TestDataProcessor.formatForFile(filePath); 
+        console.log(`\n📊 Streaming analysis of ${filePath} (${format})...`); 
+        
+        const stats = createRunningStats(); 
+        // Per-group totals - memory grows with distinct values (browsers), not rows
+        const groups = new Map(); 
+        const add = record => { 
+            stats.add(record); 
+            if (!options.groupBy) return; 
+            const key = this.getField(record, options.groupBy) ?? '(none)'; 
+            if (!groups.has(key)) groups.set(key, createRunningStats()); 
+            groups.get(key).add(record); 
+        }; 
+        
+        const stream = fs.createReadStream(filePath, { encoding: 'utf8' }); 
+        
+        if (format === 'ndjson') { 
+            // crlfDelay: Infinity → \r\n counts as one line break
+            let lineNumber = 0; 
+            for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) { 
+                lineNumber++; 
+                if (line.trim() === '') continue; 
+                try { 
+                    add(JSON.parse(line)); 
+                } catch (error) { 
+                    throw new Error(`NDJSON line ${lineNumber}: ${error.message}`); 
+                } 
+            } 
+        } else if (format === 'csv' || format === 'tsv') { 
+            const parser = new CSVParser(format === 'tsv' ? { ...options, delimiter: '\t' } : options); 
+            let headers = null; 
+            const addRows = rows => rows.forEach(values => { 
+                if (!headers) headers = this.mapHeaders(values, options.headerMap); 
+                else add(this.toRecord(headers, values)); 
+            }); 
+            for await (const chunk of stream) addRows(parser.push(chunk)); 
+            addRows(parser.end()); 
+        } else { 
+            stream.destroy(); 
+            throw new Error(`Streaming analysis supports csv, tsv and ndjson - not "${format}"`); 
+        } 
+        
+        this.metrics = stats.metrics(); 
+        if (options.groupBy) { 
+            this.metrics.groups = Object.fromEntries([...groups].map(([key, group]) => [key, group.metrics()])); 
+        } 
+        
+        console.log(`✅ Analysis complete (${this.metrics.total} records)`); 
+        return this; 
+    } 
+    
+    // Stats for one group of records - the same counters aggregateMetrics
+    // (professional-arrays.js) keeps per browser, plus derived rates
+    summarize(records) { 
+        // reduce accumulates counts and total duration in one pass
+        const totals = records.reduce((acc, record) => { 
+            acc.total++; 
+            // Unknown statuses still count towards total, just not a bucket
+            if (record.status in acc) acc[record.status]++; 
+            // Only positive durations are averaged - same rule as createRunningStats,
+            // so a skipped 0s record doesn't pull avgDuration down
+            if (record.duration > 0) { 
+                acc.totalDuration += record.duration; 
+                acc.timedCount++; 
+            } 
+            return acc; 
+        }, { total: 0, passed: 0, failed: 0, skipped: 0, totalDuration: 0, timedCount: 0 }); 
+        const { timedCount, ...counts } = totals; 
+        
+        // Rates use executed tests only - skipped tests neither pass nor fail
+        const executed = totals.passed + totals.failed; 
+        return { 
+            ...counts, 
+            totalDuration: Number(totals.totalDuration.toFixed(2)), 
+            passRate: executed > 0 ? Number(((totals.passed / executed) * 100).toFixed(2)) : null, 
+            failRate: executed > 0 ? Number(((totals.failed / executed) * 100).toFixed(2)) : null, 
+            avgDuration: timedCount > 0 ? Number((totals.totalDuration / timedCount).toFixed(2)) : null 
+        }; 
+    } 
+    
+    // Records grouped by the value of one field
+    // Array fields (like tags) put the record in EVERY matching group,
+    // the same way analyzeResults counts byTag; missing values go to '(none)'
+    // Returns a Map: group value → array of records (Map keeps first-seen order)
+    groupRecords(field) { 
+        return this.results.reduce((groups, record) => { 
+            const value = this.getField(record, field); 
+            const keys = Array.isArray(value) ? value : [value ?? '(none)']; 
+            keys.forEach(key => { 
+                if (!groups.has(key)) groups.set(key, []); 
+                groups.get(key).push(record); 
+            }); 
+            return groups; 
+        }, new Map()); 
+    } 
+    
+    // Stats per value of a field: processor.groupBy('browser')
+    // Returns { chrome: { total, passed, failed, skipped, passRate, failRate, avgDuration, ... }, ... }
+    // (returns data, not this - it ends a method chain)
+    groupBy(field) { 
+        return Object.fromEntries( 
+            [...this.groupRecords(field)].map(([key, records]) => [key, this.summarize(records)]) 
+        ); 
+    } 
+    
+    // Two-dimensional breakdown: one row per rowField value, one column per colField value
+    // Parameters:
+    //   rowField, colField - e.g. 'browser', 'environment' (dotted names and arrays work too)
+    //   metric - a summarize() stat name ('passRate', 'failRate', 'avgDuration', 'failed', ...)
+    //            or a function (records) => number for anything custom
+    // Returns { rows, columns, cells } where cells[row][col] is the metric
+    // (null when no record has that combination)
+    pivot(rowField, colField, metric = 'passRate') { 
+        const compute = typeof metric === 'function' 
+            ? metric 
+            : records => this.summarize(records)[metric]; 
+        
+        const rowGroups = this.groupRecords(rowField); 
+        // Columns come from ALL records so every row has the same columns
+        const columns = [...this.groupRecords(colField).keys()]; 
+        
+        const cells = Object.fromEntries([...rowGroups].map(([row, records]) => { 
+            // Split this row's records by column value
+            const byColumn = new TestDataProcessor(); 
+            byColumn.results = records; 
+            const columnGroups = byColumn.groupRecords(colField); 
+            
+            return [row, Object.fromEntries(columns.map(column => [ 
+                column, 
+                columnGroups.has(column) ? compute(columnGroups.get(column)) : null 
+            ]))]; 
+        })); 
+        
+        return { rows: [...rowGroups.keys()], columns, cells }; 
+    } 
+    
     // ========================================== 
     // REPORT GENERATION 
     // ========================================== 
@@ -259,20 +953,23 @@ class TestDataProcessor {
         // ${} embeds variable value in string
         console.log(`Total Tests: ${this.metrics.total}`); 
         
+        // null metrics (empty input) are shown as n/a
+        const show = (value, unit) => value === null ? 'n/a' : `${value}${unit}`; 
+        
         // Display passed count with percentage
-        console.log(`Passed: ${this.metrics.passed} (${this.metrics.passRate}%)`); 
+        console.log(`Passed: ${this.metrics.passed} (${show(this.metrics.passRate, '%')})`); 
         
         // Display failed count
         console.log(`Failed: ${this.metrics.failed}`); 
         
         // Display average duration with 's' suffix
-        console.log(`Avg Duration: ${this.metrics.avgDuration}s`); 
+        console.log(`Avg Duration: ${show(this.metrics.avgDuration, 's')}`); 
         
         // Display slowest test duration
-        console.log(`Slowest: ${this.metrics.slowest}s`); 
+        console.log(`Slowest: ${show(this.metrics.slowest, 's')}`); 
         
         // Display fastest test duration
-        console.log(`Fastest: ${this.metrics.fastest}s`); 
+        console.log(`Fastest: ${show(this.metrics.fastest, 's')}`); 
         
         // Display footer separator
         console.log('='.repeat(50)); 
@@ -281,6 +978,102 @@ class TestDataProcessor {
         return this; 
     } 
     
+    // ========================================== 
+    // RUN-TO-RUN DIFF 
+    // ========================================== 
+    
+    // Compare this run with another one (usually: PR run vs main-branch baseline)
+    // Usage: prRun.diff(mainRun)
+    // Parameters:
+    //   baseline - another TestDataProcessor
+    //   options.key - how records are matched: field name ('id'), list of fields
+    //                 (['id', 'browser'] for matrix runs) or (record) => string
+    //   options.slowerThreshold - 1.5 = at least 50% slower counts as "slower"...
+    //   options.minDelta - ...and at least this many seconds (ignores 0.1s → 0.2s noise)
+    // Returns { summary, newlyFailing, newlyPassing, stillFailing, added, removed, slower }
+    // newlyFailing = failed now, not failed before (passed or skipped)
+    // Throws when a key matches several records in one run - the key isn't specific enough
+    diff(baseline, { key = 'id', slowerThreshold = 1.5, minDelta = 0.5 } = {}) { 
+        const keyOf = typeof key === 'function' 
+            ? key 
+            : record => [].concat(key).map(field => this.getField(record, field)).join(' | '); 
+        
+        // Map key → record for fast lookups on both sides
+        // A repeated key would silently overwrite the earlier record (e.g. a matrix
+        // run keyed by 'id' only), so duplicates are an error instead
+        const byKey = (records, side) => { 
+            const map = new Map(); 
+            const duplicates = new Set(); 
+            records.forEach(record => { 
+                const id = keyOf(record); 
+                if (map.has(id)) duplicates.add(id); 
+                map.set(id, record); 
+            }); 
+            if (duplicates.size > 0) { 
+                throw new Error(`diff(): duplicate key(s) in the ${side} run: ${[...duplicates].join(', ')}` + 
+                    ` - use a more specific options.key, e.g. ['id', 'browser']`); 
+            } 
+            return map; 
+        }; 
+        const before = byKey(baseline.results, 'baseline'); 
+        const after = byKey(this.results, 'current'); 
+        
+        // One entry per matched test with both sides side by side
+        const change = (id, base, current) => ({ 
+            key: id, 
+            name: current?.name ?? base?.name, 
+            baseStatus: base?.status, 
+            status: current?.status, 
+            baseDuration: base?.duration, 
+            duration: current?.duration 
+        }); 
+        
+        const matched = [...after] 
+            .filter(([id]) => before.has(id)) 
+            .map(([id, current]) => change(id, before.get(id), current)); 
+        
+        const report = { 
+            // skipped → failed counts too: the test ran again and broke
+            newlyFailing: matched.filter(t => t.baseStatus !== 'failed' && t.status === 'failed'), 
+            newlyPassing: matched.filter(t => t.baseStatus === 'failed' && t.status === 'passed'), 
+            // Failing on both sides - probably not caused by this change
+            stillFailing: matched.filter(t => t.baseStatus === 'failed' && t.status === 'failed'), 
+            added: [...after].filter(([id]) => !before.has(id)).map(([id, current]) => change(id, undefined, current)), 
+            removed: [...before].filter(([id]) => !after.has(id)).map(([id, base]) => change(id, base, undefined)), 
+            slower: matched 
+                .filter(t => t.baseDuration > 0 && t.duration / t.baseDuration >= slowerThreshold 
+                    && t.duration - t.baseDuration >= minDelta) 
+                .map(t => ({ ...t, ratio: Number((t.duration / t.baseDuration).toFixed(2)) })) 
+                .sort((a, b) => b.ratio - a.ratio) 
+        }; 
+        
+        // Counts of every category + pass rates of both runs for the headline
+        report.summary = { 
+            ...Object.fromEntries(Object.entries(report).map(([category, list]) => [category, list.length])), 
+            basePassRate: baseline.summarize(baseline.results).passRate, 
+            passRate: this.summarize(this.results).passRate 
+        }; 
+        
+        return report; 
+    } 
+    
+    // Export a diff() report
+    // format 'json' → whole report; 'csv' → one row per change with its category
+    // (CSV goes through exportCSV, so quoting/escaping is the same as every other export)
+    exportDiff(report, format = 'json') { 
+        if (format === 'json') return JSON.stringify(report, null, 2); 
+        if (format !== 'csv') throw new Error(`Unknown diff export format "${format}" (json, csv)`); 
+        
+        const rows = new TestDataProcessor(); 
+        rows.results = Object.entries(report) 
+            .filter(([category]) => category !== 'summary') 
+            .flatMap(([category, list]) => list.map(entry => ({ category, ...entry }))); 
+        return rows.exportCSV({ 
+            lineEnding: '\n', 
+            columns: ['category', 'key', 'name', 'baseStatus', 'status', 'baseDuration', 'duration'] 
+        }); 
+    } 
+    
     // ========================================== 
     // DATA EXPORT 
     // ========================================== 
@@ -295,36 +1088,87 @@ class TestDataProcessor {
     } 
     
     // Method to export results as CSV format
-    exportCSV() { 
+    // Parameters (all optional):
+    //   delimiter - field separator, default ','
+    //   columns - which fields to export and their header names:
+    //             ['id', 'env.os'] or { id: 'Test ID', 'env.os': 'OS' }
+    //             default: every field found in ANY record (not just the first)
+    //   lineEnding - '\r\n' as required by RFC 4180; use '\n' if a tool prefers it
+    exportCSV(options = {}) { 
         // If no results, return empty string
         if (this.results.length === 0) return ''; 
         
-        // Extract headers from first result object
-        // Object.keys returns array of property names
-        const headers = Object.keys(this.results[0]); 
-        
-        // Convert each result object to CSV row
-        // Outer .map processes each result
-        const rows = this.results.map(result =>  
-            // Inner .map processes each header/column
-            headers.map(header => { 
-                // Get value for this column from result object
-                const value = result[header]; 
-                
-                // If value is string, wrap in quotes for CSV format
-                // Prevents issues with commas in text
-                if (typeof value === 'string') return `"${value}"`; 
-                
-                // Otherwise return value as-is (number, boolean, etc.)
-                return value; 
-            }).join(',')  // Join column values with commas
-        ); 
+        // [...generator] collects every line, then join them with the line ending
+        return [...this.csvLines(options)].join(options.lineEnding ?? '\r\n'); 
+    } 
+    
+    // Streaming version of exportCSV - writes line by line to a file
+    // Resolves with the file path once everything is flushed to disk
+    async exportCSVFile(filePath, options = {}) { 
+        const lineEnding = options.lineEnding ?? '\r\n'; 
+        // recursive: true → create results/ if needed, no error if it exists
+        fs.mkdirSync(path.dirname(filePath), { recursive: true }); 
+        const stream = fs.createWriteStream(filePath, { encoding: 'utf8' }); 
+        
+        for (const line of this.csvLines(options)) { 
+            // write() returns false when the buffer is full - wait for 'drain'
+            // so a huge export never piles up in memory
+            if (!stream.write(line + lineEnding)) await once(stream, 'drain'); 
+        } 
+        
+        stream.end(); 
+        await once(stream, 'finish'); 
+        return filePath; 
+    } 
+    
+    // Generator yielding the CSV header line, then one line per record
+    // function* + yield → lines are produced one at a time, only when asked for
+    *csvLines({ delimiter = ',', columns } = {}) { 
+        // Nested objects become dotted columns: { env: { os } } → 'env.os'
+        const flatRecords = this.results.map(result => this.flattenRecord(result)); 
+        
+        // Normalize columns to [field, headerName] pairs
+        const fields = Array.isArray(columns) 
+            ? columns.map(field => [field, field]) 
+            : columns 
+                ? Object.entries(columns) 
+                // Union of keys in first-seen order (Set drops duplicates)
+                : [...new Set(flatRecords.flatMap(Object.keys))].map(field => [field, field]); 
+        
+        yield fields.map(([, header]) => this.formatCSVField(header, delimiter)).join(delimiter); 
+        
+        for (const record of flatRecords) { 
+            yield fields.map(([field]) => this.formatCSVField(record[field], delimiter)).join(delimiter); 
+        } 
+    } 
+    
+    // Flatten nested objects into dotted keys; arrays are stored as JSON text
+    // Parameter: prefix - key path of the parent object (used in recursion)
+    flattenRecord(record, prefix = '') { 
+        return Object.entries(record).reduce((flat, [key, value]) => { 
+            const keyPath = prefix ? `${prefix}.${key}` : key; 
+            if (value && typeof value === 'object' && !Array.isArray(value)) { 
+                // Recurse into plain objects and merge their flattened keys
+                Object.assign(flat, this.flattenRecord(value, keyPath)); 
+            } else { 
+                flat[keyPath] = Array.isArray(value) ? JSON.stringify(value) : value; 
+            } 
+            return flat; 
+        }, {}); 
+    } 
+    
+    // Format one value as a CSV field
+    // Strings are always quoted and inner quotes are doubled ("" = one literal ")
+    // Numbers/booleans are written as-is; missing values become an empty field
+    formatCSVField(value, delimiter = ',') { 
+        if (value === null || value === undefined) return ''; 
+        if (typeof value === 'string') return `"${value.replace(/"/g, '""')}"`; 
         
-        // Combine headers and rows
-        // headers.join(',') creates header row
-        // ...rows spreads all data rows
-        // .join('\n') joins all rows with newlines
-        return [headers.join(','), ...rows].join('\n'); 
+        // Anything else that could still contain special characters gets quoted too
+        const text = String(value); 
+        return text.includes(delimiter) || /["\r\n]/.test(text) 
+            ? `"${text.replace(/"/g, '""')}"` 
+            : text; 
     } 
 } 
 
@@ -364,4 +1208,269 @@ console.log("\n📤 Exported as JSON (preview):");
 // .exportJSON() returns full JSON string
 // .substring(0, 200) extracts first 200 characters
 // + '...' adds ellipsis to show it's truncated
-console.log(processor.exportJSON().substring(0, 200) + '...');
\ No newline at end of file
+console.log(processor.exportJSON().substring(0, 200) + '...');
+
+// Export from a test-management tool: own column names, ';' delimiter,
+// quoted delimiters, escaped quotes, a line break inside a field and CRLF endings
+const toolExport = [ 
+    '\uFEFF"Test ID";"Title";"Result";"Time (s)";"Browser";"OS";"Notes"', 
+    'TC101;"Checkout; guest user";passed;3.4;chrome;linux;"Clicked ""Buy now"""', 
+    'TC102;Search;failed;2.1;firefox;windows;"Timeout on\nresults page"', 
+    // Quoted fields stay text: ID "007" keeps its zeros, title "2024" stays a string
+    '"007";"2024";passed;1.2;webkit;macos;' 
+].join('\r\n'); 
+
+// headerMap renames columns; 'env.os' builds a nested object
+const toolProcessor = new TestDataProcessor().importCSV(toolExport, { 
+    delimiter: ';', 
+    headerMap: { 
+        'Test ID': 'id', 'Title': 'name', 'Result': 'status', 
+        'Time (s)': 'duration', 'Browser': 'browser', 'OS': 'env.os', 'Notes': 'notes' 
+    } 
+}); 
+console.log(toolProcessor.results[0]); 
+console.log(`Quoted fields: id ${JSON.stringify(toolProcessor.results[2].id)}, name ${JSON.stringify(toolProcessor.results[2].name)}`); 
+
+// Export back to standard CSV - nested env.os becomes its own column again
+console.log("\n📤 Exported as CSV:"); 
+console.log(toolProcessor.exportCSV({ lineEnding: '\n' })); 
+
+// Round trip through a file with the streaming methods
+(async () => { 
+    const file = await toolProcessor.exportCSVFile('results/testdata-export.csv'); 
+    const reloaded = await new TestDataProcessor().importCSVFile(file); 
+    const same = JSON.stringify(reloaded.results) === JSON.stringify(toolProcessor.results); 
+    console.log(`🔁 Round trip ${file}: ${same ? 'identical ✅' : 'different ❌'}`); 
+})().catch(error => { 
+    console.error(`💥 Round trip failed: ${error.message}`); 
+    process.exitCode = 1; 
+}); 
+
+// Same validate() with a different schema - here for a user data set
+const USER_SCHEMA = { 
+    fields: { 
+        username: { required: true, type: 'string', pattern: /^[a-z][a-z0-9_]{2,19}$/ }, 
+        email: { required: true, type: 'string', pattern: /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i }, 
+        age: { type: 'integer', min: 18, max: 120 }, 
+        role: { required: true, enum: ['admin', 'editor', 'viewer'] } 
+    }, 
+    rules: [ 
+        { 
+            name: 'adminNeedsCompanyEmail', 
+            columns: ['role', 'email'], 
+            check: user => user.role !== 'admin' || user.email?.endsWith('@company.com'), 
+            message: 'admins must use a @company.com email' 
+        } 
+    ] 
+}; 
+
+const userCSV = ` 
+username,email,age,role 
+alice,alice@company.com,34,admin 
+Bob!,bob@example,17,viewer 
+carol,carol@gmail.com,29,admin 
+`.trim(); 
+
+console.log("\n👤 Validating user data:"); 
+const users = new TestDataProcessor().importCSV(userCSV).validate(USER_SCHEMA); 
+console.log(`Report: ${users.validationReport.invalidRecords}/${users.validationReport.recordsChecked} invalid, first error:`, 
+    users.validationReport.errors[0]); 
+
+// Strict mode throws - useful as a gate before data-driven tests run
+try { 
+    users.validate(USER_SCHEMA, { strict: true }); 
+} catch (error) { 
+    console.log(`🛑 ${error.name}: ${error.message}`); 
+} 
+
+// ========================================== 
+// MORE FORMATS 
+// ========================================== 
+
+// JUnit XML as written by createJUnitReporter (day-04 test-framework.js)
+const junitXml = `<?xml version="1.0" encoding="UTF-8"?> 
+<testsuites> 
+  <testsuite name="E-commerce Smoke" tests="3" failures="1"> 
+    <testcase name="Login flow" classname="E-commerce Smoke" time="1.250"/> 
+    <testcase name="Checkout &amp; pay" classname="E-commerce Smoke" time="3.400"> 
+      <failure message="Button not clickable">Step 4 failed</failure> 
+    </testcase> 
+    <testcase name="Wishlist" classname="E-commerce Smoke" time="0"><skipped/></testcase> 
+  </testsuite> 
+</testsuites>`; 
+
+// YAML export from another tool - results wrapped in a "results:" key
+const yamlResults = ` 
+run: nightly   # build 512 
+results: 
+  - id: TC201 
+    name: Login 
+    status: passed 
+    duration: 1.9 
+    tags: [smoke, critical] 
+  - id: TC202 
+    name: "Search: filters" 
+    status: failed 
+    duration: 2.7 
+    error: "Expected # of rows to be 10"   # quoted '#' is not a comment 
+`; 
+
+// NDJSON - one JSON record per line
+const ndjsonResults = [ 
+    '{"id":"TC301","name":"Login","status":"passed","duration":2.2}', 
+    '{"id":"TC302","name":"Profile","status":"passed","duration":1.4}' 
+].join('\n'); 
+
+// Custom reader: Mocha's JSON reporter (durations in ms, err object on failure)
+TestDataProcessor.registerFormat('mocha-json', (text) => 
+    JSON.parse(text).tests.map(test => ({ 
+        id: test.fullTitle, 
+        name: test.title, 
+        status: test.pending ? 'skipped' : Object.keys(test.err ?? {}).length > 0 ? 'failed' : 'passed', 
+        duration: test.duration / 1000 
+    })), { extensions: ['.mocha.json'] }); 
+
+const mochaResults = JSON.stringify({ 
+    tests: [ 
+        { title: 'adds item', fullTitle: 'Cart adds item', duration: 35, err: {} }, 
+        { title: 'removes item', fullTitle: 'Cart removes item', duration: 80, err: { message: 'expected 0 to equal 1' } } 
+    ] 
+}); 
+
+// Same analyze() for every framework → pass rates are directly comparable
+console.log("\n🔀 Comparing runs from different tools:"); 
+[ 
+    ['junit', junitXml], 
+    ['yaml', yamlResults], 
+    ['ndjson', ndjsonResults], 
+    ['mocha-json', mochaResults] 
+].forEach(([format, text]) => { 
+    const run = new TestDataProcessor().importData(text, format).analyze(); 
+    console.log(`  ${format}: ${run.metrics.passed}/${run.metrics.total} passed (${run.metrics.passRate}%)`); 
+    if (format === 'yaml') console.log(`    TC202 error: ${run.results[1].error}`); 
+}); 
+console.log(`  results.mocha.json → ${TestDataProcessor.formatForFile('results.mocha.json')} format`); 
+
+// ========================================== 
+// GROUP-BY AND PIVOT 
+// ========================================== 
+
+// Cross-browser / cross-environment results (same shape as createTestMatrix output + status)
+const matrixResults = [ 
+    { id: 'TC001', name: 'Login', status: 'passed', duration: 2.1, browser: 'chrome', environment: 'staging', tags: ['smoke'] }, 
+    { id: 'TC001', name: 'Login', status: 'passed', duration: 2.4, browser: 'firefox', environment: 'staging', tags: ['smoke'] }, 
+    { id: 'TC001', name: 'Login', status: 'failed', duration: 5.0, browser: 'safari', environment: 'production', tags: ['smoke'] }, 
+    { id: 'TC002', name: 'Checkout', status: 'passed', duration: 4.2, browser: 'chrome', environment: 'production', tags: ['critical', 'e2e'] }, 
+    { id: 'TC002', name: 'Checkout', status: 'failed', duration: 6.3, browser: 'safari', environment: 'production', tags: ['critical', 'e2e'] }, 
+    { id: 'TC002', name: 'Checkout', status: 'passed', duration: 3.9, browser: 'firefox', environment: 'production', tags: ['critical', 'e2e'] }, 
+    { id: 'TC003', name: 'Search', status: 'skipped', duration: 0, browser: 'chrome', environment: 'staging', tags: ['regression'] }, 
+    { id: 'TC003', name: 'Search', status: 'passed', duration: 3.1, browser: 'safari', environment: 'staging', tags: ['regression'] } 
+]; 
+
+const matrix = new TestDataProcessor(); 
+matrix.results = matrixResults; 
+
+console.log("\n📊 Average duration by tag:"); 
+Object.entries(matrix.groupBy('tags')).forEach(([tag, stats]) => { 
+    console.log(`  ${tag}: ${stats.avgDuration}s over ${stats.total} runs`); 
+}); 
+
+// Pass rate for every browser × environment combination
+const passRates = matrix.pivot('browser', 'environment', 'passRate'); 
+console.log("\n🧮 Pass rate % (browser × environment):"); 
+console.table(passRates.cells); 
+
+// Which combination fails most? Flatten the cells and sort by fail rate
+const failRates = matrix.pivot('browser', 'environment', 'failRate'); 
+const [worst] = failRates.rows 
+    .flatMap(row => failRates.columns.map(column => ({ row, column, rate: failRates.cells[row][column] }))) 
+    .filter(cell => cell.rate !== null) 
+    .sort((a, b) => b.rate - a.rate); 
+console.log(`Most failing combination: ${worst.row} on ${worst.column} (${worst.rate}% failed)`); 
+
+// ========================================== 
+// RUN-TO-RUN DIFF 
+// ========================================== 
+
+// Main-branch baseline vs the run of a pull request
+const mainRun = new TestDataProcessor().importCSV(` 
+id,name,status,duration 
+TC001,Login,passed,2.5 
+TC002,Search,failed,3.2 
+TC003,Checkout,passed,4.1 
+TC004,Payment,passed,2.9 
+TC005,Wishlist,passed,1.1 
+TC007,Reviews,skipped,0 
+`.trim()); 
+
+const prRun = new TestDataProcessor().importCSV(` 
+id,name,status,duration 
+TC001,Login,passed,2.6 
+TC002,Search,passed,3.0 
+TC003,Checkout,passed,7.4 
+TC004,Payment,failed,3.0 
+TC006,Coupons,passed,1.7 
+TC007,Reviews,failed,1.4 
+`.trim()); 
+
+const runDiff = prRun.diff(mainRun); 
+console.log("\n🆚 PR run vs main:"); 
+console.log(`  Pass rate: ${runDiff.summary.basePassRate}% → ${runDiff.summary.passRate}%`); 
+console.log(`  Newly failing: ${runDiff.newlyFailing.map(t => t.name).join(', ') || '-'}`); 
+console.log(`  Newly passing: ${runDiff.newlyPassing.map(t => t.name).join(', ') || '-'}`); 
+console.log(`  Added: ${runDiff.added.map(t => t.name).join(', ') || '-'} | Removed: ${runDiff.removed.map(t => t.name).join(', ') || '-'}`); 
+runDiff.slower.forEach(t => console.log(`  🐢 ${t.name}: ${t.baseDuration}s → ${t.duration}s (${t.ratio}x)`)); 
+
+// Matrix runs repeat each id per browser/environment - 'id' alone can't match them
+try { 
+    matrix.diff(matrix); 
+} catch (error) { 
+    console.log(`  ⚠️  ${error.message}`); 
+} 
+
+console.log("\n📤 Diff as CSV:"); 
+console.log(prRun.exportDiff(runDiff, 'csv')); 
+
+// ========================================== 
+// STREAMING LARGE FILES 
+// ========================================== 
+
+// Generate a large NDJSON result file without building it in memory first
+const writeLargeResultFile = async (filePath, rows) => { 
+    fs.mkdirSync(path.dirname(filePath), { recursive: true }); 
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf8' }); 
+    const browsers = ['chrome', 'firefox', 'safari']; 
+    for (let i = 0; i < rows; i++) { 
+        const record = { 
+            id: `TC${i}`, 
+            status: i % 10 === 0 ? 'failed' : 'passed', 
+            duration: 1 + (i % 50) / 10, 
+            browser: browsers[i % browsers.length] 
+        }; 
+        // Respect backpressure - same pattern as exportCSVFile
+        if (!stream.write(JSON.stringify(record) + '\n')) await once(stream, 'drain'); 
+    } 
+    stream.end(); 
+    await once(stream, 'finish'); 
+    return filePath; 
+}; 
+
+(async () => { 
+    const largeFile = await writeLargeResultFile('results/large-results.ndjson', 50000); 
+    const streamed = await new TestDataProcessor().analyzeFile(largeFile, { groupBy: 'browser' }); 
+    streamed.generateReport(); 
+    Object.entries(streamed.metrics.groups).forEach(([browser, metrics]) => { 
+        console.log(`  ${browser}: ${metrics.total} runs, ${metrics.passRate}% passed`); 
+    }); 
+    console.log(`Heap used: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(1)} MB`); 
+    
+    // An empty file gives null metrics instead of NaN / Infinity
+    const emptyFile = 'results/empty-results.ndjson'; 
+    fs.writeFileSync(emptyFile, ''); 
+    const empty = await new TestDataProcessor().analyzeFile(emptyFile); 
+    console.log('Empty file metrics:', empty.metrics); 
+})().catch(error => { 
+    // Without this an I/O error would be an unhandled rejection
+    console.error(`💥 Streaming demo failed: ${error.message}`); 
+    process.exitCode = 1; 
+}); 
@@ -388,6 +388,133 @@ processParallel([...items]).then(results => {
 
 console.log("\n=== COMPLETE TEST EXAMPLE ===\n");
 
+// Split array into chunks - copy of chunkTests from day-06 professional-arrays.js,
+// which is the reference (day-05 professional-framework.js has the same copy)
+// Used by runTestSuite to shard tests across workers
+const chunkTests = (tests, chunkSize) =>
+    Array.from(
+        { length: Math.ceil(tests.length / chunkSize) },
+        (_, i) => tests.slice(i * chunkSize, (i + 1) * chunkSize)
+    );
+
+// "--shard=2/3" → { index: 2, total: 3 } (1-based, like CI job numbers); undefined when absent
+// Same rules as parseShardArg in typescript/day-09 test-automation-framework.ts:
+// malformed values throw so a CI typo can't silently run every test
+function parseShardArg(argv = process.argv) {
+    const arg = argv.find(value => value.startsWith("--shard="));
+    if (!arg) return undefined;
+    
+    const match = arg.slice("--shard=".length).match(/^(\d+)\/(\d+)$/);
+    if (!match) {
+        throw new Error(`Invalid shard "${arg}" (expected --shard=i/n, e.g. --shard=1/4)`);
+    }
+    const shard = { index: Number(match[1]), total: Number(match[2]) };
+    if (shard.total < 1 || shard.index < 1 || shard.index > shard.total) {
+        throw new Error(`Invalid shard "${arg}" (i must be between 1 and n)`);
+    }
+    return shard;
+}
+
+// FNV-1a hash - same string gives the same number on every machine,
+// so each test lands on the same shard no matter where it runs
+function stableHash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Generic wait engine - copy of waitUntil from day-04 smart-waiting.js, which
+// is the reference (the demo scripts don't share modules): fix it there first
+// Polls predicate until until(value) is true, on a fixed or progressive
+// intervals schedule; cancellable with an AbortSignal; each check is raced
+// against the time left; the timeout error includes the last value/error
+// the predicate produced
+class WaitTimeoutError extends Error {
+    constructor(message, { timeout, checks, lastValue, lastError }) {
+        super(message);
+        this.name = "WaitTimeoutError";
+        this.timeout = timeout;
+        this.checks = checks;
+        this.lastValue = lastValue;
+        this.lastError = lastError;
+    }
+}
+
+// delay() that rejects early when the signal is aborted
+const abortableDelay = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Settle with the check's result, but reject once ms have passed or the signal
+// aborts - a predicate that never settles can't hold the wait past its timeout
+const withDeadline = (promise, ms, signal) => new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        settle(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error(`check still running after ${ms}ms`)), ms);
+    const onAbort = () => finish(reject, signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(promise).then(value => finish(resolve, value), error => finish(reject, error));
+});
+
+async function waitUntil(predicate, {
+    timeout = 5000,
+    intervals = [100],
+    message = "condition",
+    until = Boolean,
+    signal
+} = {}) {
+    const startTime = Date.now();
+    const delays = Array.isArray(intervals) ? intervals : [intervals];
+    if (delays.length === 0 || !delays.every(delay => Number.isFinite(delay) && delay >= 0)) {
+        throw new Error(`waitUntil intervals must be non-negative numbers, got ${JSON.stringify(intervals)}`);
+    }
+    let checks = 0;
+    let lastValue;
+    let lastError;
+    
+    while (true) {
+        signal?.throwIfAborted();
+        
+        try {
+            const remaining = timeout - (Date.now() - startTime);
+            lastValue = await withDeadline(predicate(), Math.max(remaining, 0), signal);
+            lastError = undefined;
+            if (until(lastValue)) return lastValue;   // Condition met
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;   // Cancelled mid-check
+            lastError = error;                        // Not there yet - keep waiting
+        }
+        checks++;
+        
+        const remaining = timeout - (Date.now() - startTime);
+        if (remaining <= 0) {
+            const seen = lastError ? `last error: ${lastError.message}` : `last value: ${JSON.stringify(lastValue)}`;
+            throw new WaitTimeoutError(
+                `Timed out after ${timeout}ms waiting for ${message} (${checks} checks, ${seen})`,
+                { timeout, checks, lastValue, lastError }
+            );
+        }
+        
+        // Next interval (last one repeats), never sleeping past the deadline
+        const interval = delays[Math.min(checks - 1, delays.length - 1)];
+        await abortableDelay(Math.min(interval, remaining), signal);
+    }
+}
+
 // Modern test class using async/await
 class ModernTestAutomation {
     // All methods are async and use await
@@ -430,24 +557,20 @@ class ModernTestAutomation {
         console.log(`✓ Typed "${text}"`);
     }
     
-    async waitForElement(selector, timeout = 5000) {
+    // Polls findElement() through the shared wait engine
+    // signal lets a caller (suite runner, page object) cancel the wait
+    async waitForElement(selector, timeout = 5000, signal) {
         console.log(`⏳ Waiting for ${selector} (timeout: ${timeout}ms)...`);
         
-        const startTime = Date.now();
-        
-        // Keep trying until element found or timeout
-        while (Date.now() - startTime < timeout) {
-            try {
-                await this.findElement(selector);
-                return true;  // Found!
-            } catch (error) {
-                // Element not found, wait and retry
-                await delay(500);
-            }
-        }
-        
-        // Timeout reached
-        throw new Error(`Timeout waiting for ${selector}`);
+        // findElement() throws while the element is missing → engine keeps polling
+        // Timeout error includes the last "Element not found" message
+        await waitUntil(() => this.findElement(selector), {
+            timeout,
+            intervals: [500],
+            message: selector,
+            signal
+        });
+        return true;  // Found!
     }
     
     async screenshot(name) {
@@ -502,28 +625,62 @@ class ModernTestAutomation {
         }
     }
     
-    // Run multiple tests in parallel
-    async runTestSuite() {
-        console.log("\n📦 Running Test Suite\n");
+    // Run multiple tests in parallel with a worker pool
+    // scenarios: method names to run, e.g. ["runLoginTest", "runLoginTest"]
+    // workers: how many scenarios run at the same time (clamped to 1..scenarios.length)
+    // shard: { index, total } - run only this CI job's share (default: --shard=i/n argument)
+    async runTestSuite(scenarios = ["runLoginTest"], { workers = 2, shard = parseShardArg() } = {}) {
+        // Index is kept so results can be put back in the original order
+        // Repeated scenarios are told apart by occurrence ("runLoginTest#2"),
+        // which stays the same when other scenarios are added
+        const seen = new Map();
+        const indexed = scenarios.map((scenario, index) => {
+            const occurrence = (seen.get(scenario) ?? 0) + 1;
+            seen.set(scenario, occurrence);
+            return { scenario, index, key: `${scenario}#${occurrence}` };
+        });
+        const selected = shard
+            ? indexed.filter(({ key }) => stableHash(key) % shard.total === shard.index - 1)
+            : indexed;
         
-        // Create multiple test instances
-        const tests = [
-            this.runLoginTest(),
-            // Could add more tests here
-        ];
+        // 0, negative or NaN would create no chunks and silently run nothing;
+        // more workers than scenarios would just be idle
+        const workerCount = Math.min(Math.max(1, Math.floor(workers) || 1), Math.max(1, selected.length));
+        console.log(`\n📦 Running Test Suite (${selected.length} tests, ${workerCount} workers)\n`);
+        if (shard) {
+            console.log(`🧩 Shard ${shard.index}/${shard.total}: ${selected.length} of ${scenarios.length} test(s)`);
+        }
         
-        // Run all tests in parallel
-        const results = await Promise.allSettled(tests);
+        // Split scenarios across workers (same chunkTests idea as day-06)
+        const chunks = chunkTests(selected, Math.ceil(selected.length / workerCount));
+        const results = new Array(scenarios.length);
         
-        // Summary
+        // Each worker runs its chunk one test at a time;
+        // all workers run at the same time
+        await Promise.all(chunks.map(async chunk => {
+            for (const { scenario, index } of chunk) {
+                // Fresh instance per test → no shared browser/page state
+                const isolatedTest = new ModernTestAutomation();
+                try {
+                    results[index] = { status: 'fulfilled', value: await isolatedTest[scenario]() };
+                } catch (error) {
+                    results[index] = { status: 'rejected', reason: error };
+                }
+            }
+        }));
+        
+        // Summary (always in the order scenarios were given)
+        // Scenarios of other shards stay empty slots, which forEach skips
         console.log("\n📊 Test Suite Summary:");
         results.forEach((result, index) => {
             if (result.status === 'fulfilled') {
-                console.log(`  Test ${index + 1}: ${result.value.status}`);
+                console.log(`  Test ${index + 1} (${scenarios[index]}): ${result.value.status}`);
             } else {
-                console.log(`  Test ${index + 1}: ERROR -`, result.reason);
+                console.log(`  Test ${index + 1} (${scenarios[index]}): ERROR -`, result.reason);
             }
         });
+        
+        return results;
     }
 }
 
@@ -538,7 +695,13 @@ modernTest.runLoginTest();
 console.log("\n=== BEST PRACTICES ===\n");
 
 // PATTERN 1: Retry logic
-async function retryOperation(operation, maxRetries = 3) {
+// backoff(attempt) returns how long to wait after a failed attempt (ms)
+// Default keeps the original linear wait: 1000ms, 2000ms, 3000ms...
+// Other strategies (exponential, jitter): see BACKOFF_STRATEGIES in day-05 modern-function.js
+const linearBackoff = attempt => 1000 * attempt;
+const exponentialBackoff = attempt => 500 * 2 ** (attempt - 1);
+
+async function retryOperation(operation, maxRetries = 3, backoff = linearBackoff) {
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -552,8 +715,8 @@ async function retryOperation(operation, maxRetries = 3) {
             lastError = error;
             
             if (attempt < maxRetries) {
-                // Wait before retrying (exponential backoff)
-                await delay(1000 * attempt);
+                // Wait before retrying (strategy decides how long)
+                await delay(backoff(attempt));
             }
         }
     }
@@ -577,7 +740,7 @@ async function demonstratePatterns() {
     // Retry pattern
     const unstableOp = () => riskyOperation(Math.random() > 0.7);
     try {
-        await retryOperation(unstableOp, 3);
+        await retryOperation(unstableOp, 3, exponentialBackoff);  // 500ms, 1000ms
     } catch (error) {
         console.log("All retries exhausted:", error.message);
     }
@@ -606,6 +769,7 @@ demonstratePatterns();
 6. Sequential: Use multiple awaits for dependent operations
 7. Parallel: Use Promise.all() for independent operations
 8. Promise.allSettled(): Handle each result individually
+   Worker pool: chunk tests, Promise.all over chunks, for...of inside each
 9. Loops: for...of works with await, map() for parallel
 10. TEST AUTOMATION: Everything is async - navigate, click, type, wait!
 
@@ -3,6 +3,11 @@
 // Part 3: JSON, Error Handling & API Testing
 // ========================================== 
 
+// Node's built-in modules - used by the mock server and cassettes below
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
 // ========================================== 
 // 1. JSON BASICS - JavaScript Object Notation
 // ========================================== 
@@ -440,6 +445,8 @@ async function createUser(userData) {
 // Using the functions
 getUser(1).then(user => {
     console.log("Retrieved user:", user.name);
+}).catch(() => {
+    // Already logged inside getUser - offline runs shouldn't crash the whole demo
 });
 
 createUser({
@@ -448,6 +455,8 @@ createUser({
     username: "testuser"
 }).then(user => {
     console.log("Created user with ID:", user.id);
+}).catch(() => {
+    // Already logged inside createUser
 });
 
 // ========================================== 
@@ -456,13 +465,231 @@ createUser({
 
 console.log("\n=== API TESTING ===\n");
 
+// Transport = the function that actually sends a request over the wire
+// APITester never calls fetch directly, so tests can swap in a different
+// transport (mock, recorded responses) without touching any test code
+// Input:  { method, url, headers, body } + AbortSignal
+// Output: { status, statusText, headers, body } with body as raw text
+async function fetchTransport(request, signal) {
+    const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal
+    });
+    return {
+        status: response.status,
+        statusText: response.statusText,
+        // Headers object → plain object so it can be logged and saved as JSON
+        headers: Object.fromEntries(response.headers),
+        body: await response.text()
+    };
+}
+
+// ------------------------------------------
+// Interceptors
+// ------------------------------------------
+// An interceptor is an object with any of these hooks:
+//   request(request)            → runs before sending, returns the (changed) request
+//   response(response, request) → runs after receiving, returns the (changed) response
+//   record(exchange)            → runs before an exchange is stored in the log
+// Hooks may be async. They run in the order they were added with api.use()
+
+// Adds Authorization header from a token provider (called for every request,
+// so a refreshed token is picked up automatically)
+function authInterceptor(getToken) {
+    return {
+        async request(request) {
+            const token = await getToken();
+            return { ...request, headers: { ...request.headers, Authorization: `Bearer ${token}` } };
+        }
+    };
+}
+
+// Adds a unique request id + W3C traceparent header so a failing request
+// can be found in backend logs
+function tracingInterceptor(prefix = 'test') {
+    let counter = 0;
+    return {
+        request(request) {
+            counter++;
+            const requestId = `${prefix}-${Date.now()}-${counter}`;
+            // traceparent = version-traceId(32 hex)-spanId(16 hex)-flags
+            const hex = (length) => Array.from({ length }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            return {
+                ...request,
+                headers: { ...request.headers, 'X-Request-Id': requestId, traceparent: `00-${hex(32)}-${hex(16)}-01` }
+            };
+        }
+    };
+}
+
+// Hides secrets in the exchange log (the real request is NOT changed)
+// Parameter: fields - header/body keys to mask, case-insensitive, at any depth
+function redactionInterceptor(fields = ['authorization', 'password', 'token']) {
+    const sensitive = new Set(fields.map(field => field.toLowerCase()));
+    
+    // Walk objects/arrays and replace matching keys
+    const redact = (value) => {
+        if (Array.isArray(value)) return value.map(redact);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, inner]) =>
+                [key, sensitive.has(key.toLowerCase()) ? '[REDACTED]' : redact(inner)]));
+        }
+        return value;
+    };
+    
+    // Bodies are logged as text - redact inside them when they are JSON
+    const redactBody = (body) => {
+        try {
+            return JSON.stringify(redact(JSON.parse(body)));
+        } catch {
+            return body;
+        }
+    };
+    
+    return {
+        record(exchange) {
+            const part = (message) => message && {
+                ...message,
+                headers: redact(message.headers),
+                body: message.body === undefined ? undefined : redactBody(message.body)
+            };
+            return { ...exchange, request: part(exchange.request), response: part(exchange.response) };
+        }
+    };
+}
+
+// ------------------------------------------
+// JSON Schema validation (draft 2020-12 subset)
+// ------------------------------------------
+// Supported keywords:
+//   type (string or list; 'integer' and 'null' included), enum, const
+//   properties, required, additionalProperties (false or a schema)
+//   items, minItems, maxItems
+//   minimum, maximum, minLength, maxLength, pattern
+//   format: email, uri, date, date-time, uuid, ipv4 (unknown formats are ignored, like the spec says)
+// Every violation is reported - not just the first - each with its JSON path
+
+// Format checks - true when the string is valid
+const JSON_SCHEMA_FORMATS = {
+    email: value => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value),
+    uri: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch {
+            return false;
+        }
+    },
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    ipv4: value => /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value)
+};
+
+// JSON type name of a value ('integer' is also a 'number')
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Path of a child: $.user.name, $.items[0], $["odd key"]
+function childPath(parent, key) {
+    if (typeof key === 'number') return `${parent}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+// Validate value against schema
+// Returns an array of { path, keyword, message } - empty when valid
+function validateJsonSchema(value, schema, path = '$') {
+    const errors = [];
+    const fail = (keyword, message) => errors.push({ path, keyword, message });
+    const type = jsonType(value);
+    
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const typeOk = allowed.some(expected =>
+            expected === type
+            || (expected === 'integer' && Number.isInteger(value))
+            || (expected === 'number' && type === 'number'));
+        if (!typeOk) {
+            fail('type', `expected ${allowed.join(' or ')}, got ${type} ${JSON.stringify(value)}`);
+            // Other keywords would only produce noise on a wrong type
+            return errors;
+        }
+    }
+    
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        fail('enum', `expected one of ${JSON.stringify(schema.enum)}, got ${JSON.stringify(value)}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        fail('const', `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `shorter than ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `longer than ${schema.maxLength} characters`);
+        // JSON Schema patterns are not anchored - "abc" matches pattern "b"
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail('pattern', `"${value}" does not match ${schema.pattern}`);
+        if (schema.format && JSON_SCHEMA_FORMATS[schema.format] && !JSON_SCHEMA_FORMATS[schema.format](value)) {
+            fail('format', `"${value}" is not a valid ${schema.format}`);
+        }
+    }
+    
+    if (type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `${value} is less than ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `${value} is greater than ${schema.maximum}`);
+    }
+    
+    if (type === 'object') {
+        (schema.required ?? [])
+            // Own properties only - `in` would accept inherited keys like "toString"
+            .filter(key => !Object.hasOwn(value, key))
+            .forEach(key => errors.push({ path: childPath(path, key), keyword: 'required', message: 'required property is missing' }));
+        
+        const properties = schema.properties ?? {};
+        Object.entries(value).forEach(([key, inner]) => {
+            // Own keys only - a payload key like "constructor" must not match Object.prototype
+            if (Object.hasOwn(properties, key)) {
+                errors.push(...validateJsonSchema(inner, properties[key], childPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), keyword: 'additionalProperties', message: 'property is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJsonSchema(inner, schema.additionalProperties, childPath(path, key)));
+            }
+        });
+    }
+    
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `fewer than ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `more than ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, childPath(path, index))));
+        }
+    }
+    
+    return errors;
+}
+
 // Complete API testing class
 class APITester {
-    constructor(baseUrl) {
+    // Parameters:
+    //   baseUrl - prefix for every endpoint
+    //   options.timeout - default per-request timeout in ms
+    //   options.transport - see fetchTransport above
+    //   options.maxExchanges - how many exchanges the log keeps (oldest dropped first)
+    constructor(baseUrl, { timeout = 10000, transport = fetchTransport, maxExchanges = 100 } = {}) {
         this.baseUrl = baseUrl;  // Base URL for all requests
         this.headers = {
             'Content-Type': 'application/json'
         };
+        this.timeout = timeout;
+        this.transport = transport;
+        this.interceptors = [];
+        this.exchanges = [];     // Captured request/response log
+        this.maxExchanges = maxExchanges;
     }
     
     // Set authentication token
@@ -470,73 +697,156 @@ class APITester {
         this.headers['Authorization'] = `Bearer ${token}`;
     }
     
+    // Register an interceptor (see above); returns this for chaining
+    use(interceptor) {
+        this.interceptors.push(interceptor);
+        return this;
+    }
+    
+    // Run one hook of every interceptor in order, each getting the previous result
+    async runHooks(hook, value, ...args) {
+        for (const interceptor of this.interceptors) {
+            if (interceptor[hook]) value = await interceptor[hook](value, ...args);
+        }
+        return value;
+    }
+    
     // Generic request method with error handling
+    // options: method, headers, body, timeout (ms), signal (caller's own AbortSignal)
     async request(endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
+        const timeout = options.timeout ?? this.timeout;
+        
+        // Merge default headers with request-specific headers, then let interceptors adjust
+        const request = await this.runHooks('request', {
+            method: options.method || 'GET',
+            url: `${this.baseUrl}${endpoint}`,
+            headers: { ...this.headers, ...options.headers },
+            body: options.body
+        });
+        
+        // Abort when the timeout fires OR when the caller aborts
+        const timeoutController = new AbortController();
+        const timer = setTimeout(() => timeoutController.abort(), timeout);
+        const signal = options.signal
+            ? AbortSignal.any([timeoutController.signal, options.signal])
+            : timeoutController.signal;
+        
+        const exchange = { startedAt: new Date().toISOString(), request, response: null, error: null };
+        const started = Date.now();
+        let failure = null;
         
         try {
-            console.log(`${options.method || 'GET'} ${url}`);
+            console.log(`${request.method} ${request.url}`);
             
-            // Merge default headers with request-specific headers
-            const response = await fetch(url, {
-                ...options,
-                headers: { ...this.headers, ...options.headers }
-            });
+            let response;
+            try {
+                response = await this.transport(request, signal);
+            } catch (error) {
+                // Our timer fired → report a TimeoutError instead of a generic AbortError
+                if (timeoutController.signal.aborted) {
+                    throw new TimeoutError(`${request.method} ${request.url}`, timeout);
+                }
+                throw error;
+            }
+            exchange.response = response;
             
-            // Parse response body (even for errors)
+            // Parse response body (even for errors) - JSON when possible, text otherwise
             let data;
             try {
-                data = await response.json();
+                data = JSON.parse(response.body);
             } catch (e) {
                 // Response might not be JSON
-                data = await response.text();
+                data = response.body;
             }
             
+            const result = await this.runHooks('response', { status: response.status, headers: response.headers, data }, request);
+            
             // Check response status
-            if (!response.ok) {
+            if (result.status < 200 || result.status > 299) {
                 throw new APIError(
-                    response.status,
-                    data.message || data || response.statusText
+                    result.status,
+                    result.data?.message || result.data || response.statusText
                 );
             }
             
-            console.log(`✓ Response status: ${response.status}`);
-            return { status: response.status, data };
+            console.log(`✓ Response status: ${result.status}`);
+            return result;
             
         } catch (error) {
+            failure = error;
+            exchange.error = { name: error.name, message: error.message };
             if (error instanceof APIError) {
                 console.log(`✗ API Error: ${error.statusCode} - ${error.message}`);
+            } else if (error instanceof TimeoutError) {
+                console.log(`✗ Timeout: no response within ${error.timeout}ms`);
             } else {
                 console.log(`✗ Network Error: ${error.message}`);
             }
             throw error;
+        } finally {
+            clearTimeout(timer);
+            exchange.durationMs = Date.now() - started;
+            let recorded = null;
+            try {
+                recorded = await this.recordExchange(exchange);
+            } catch (recordError) {
+                // A broken record hook must not replace the request's own error
+                if (!failure) throw recordError;
+                console.log(`⚠️  Exchange not recorded: ${recordError.message}`);
+            }
+            // Reporters can attach error.exchange to the failed test
+            // (the logged copy - so redaction applies there too)
+            if (failure && recorded) failure.exchange = recorded;
         }
     }
     
+    // Store an exchange in the log (after record hooks, e.g. redaction)
+    async recordExchange(exchange) {
+        const recorded = await this.runHooks('record', exchange);
+        this.exchanges.push(recorded);
+        // Keep only the most recent exchanges
+        if (this.exchanges.length > this.maxExchanges) this.exchanges.shift();
+        return recorded;
+    }
+    
+    // Last N exchanges - what a reporter attaches to a failed test
+    getExchanges(limit = this.maxExchanges) {
+        return this.exchanges.slice(-limit);
+    }
+    
+    clearExchanges() {
+        this.exchanges = [];
+        return this;
+    }
+    
     // Convenience methods for different HTTP verbs
-    async get(endpoint) {
-        return this.request(endpoint, { method: 'GET' });
+    // options are passed through to request() (headers, timeout, signal)
+    async get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
     }
     
-    async post(endpoint, body) {
+    async post(endpoint, body, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(body)
         });
     }
     
-    async put(endpoint, body) {
+    async put(endpoint, body, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(body)
         });
     }
     
-    async delete(endpoint) {
-        return this.request(endpoint, { method: 'DELETE' });
+    async delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
     }
     
     // Test helper to verify response
+    // expected: { status, fields?: ['id', ...], schema?: JSON Schema (see validateJsonSchema) }
     verifyResponse(response, expected) {
         console.log("\n🔍 Verifying response...");
         
@@ -562,19 +872,465 @@ class APITester {
             console.log("  ✓ All required fields present");
         }
         
+        // Check the whole body against a JSON Schema - catches wrong types and nested fields
+        if (expected.schema) {
+            const violations = validateJsonSchema(response.data, expected.schema);
+            if (violations.length > 0) {
+                // Show every violation, not just the first one
+                violations.forEach(v => console.log(`  ✗ ${v.path}: ${v.message}`));
+                const error = new AssertionError(
+                    "Response matching schema",
+                    `${violations.length} schema violation(s): ${violations.map(v => v.path).join(', ')}`
+                );
+                error.violations = violations;
+                throw error;
+            }
+            console.log("  ✓ Response matches schema");
+        }
+        
         console.log("✅ Response verification passed");
     }
 }
 
 // ========================================== 
-// 10. COMPLETE API TEST EXAMPLE
+// 10. MOCK API SERVER
+// ========================================== 
+
+console.log("\n=== MOCK API SERVER ===\n");
+
+// A real HTTP server on localhost that answers from route definitions
+// - works offline (CI without network access)
+// - deterministic: the same request always gets the same answer
+// - can inject latency and failures on purpose
+// - records every request it receives so tests can assert on them
+
+// '/users/:id' → RegExp with a named group: /^\/users\/(?<id>[^/]+)$/
+function compileRoutePath(routePath) {
+    const pattern = routePath
+        .split('/')
+        .map(part => part.startsWith(':')
+            ? `(?<${part.slice(1)}>[^/]+)`
+            : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))   // Escape regex characters
+        .join('/');
+    return new RegExp(`^${pattern}$`);
+}
+
+// Route definition:
+//   method, path      - 'GET', '/users/:id' (:name parts become params)
+//   status, headers   - defaults 200 / none
+//   body              - static response body
+//   fixture           - JSON file (relative to fixturesDir) used as the body
+//   handler(request)  - dynamic answer: returns { status?, headers?, body? }
+//   latency           - delay in ms before answering (overrides the server default)
+//   fault             - error injection:
+//                       { type: 'http' (default) | 'reset' | 'hang', status, body,
+//                         times: fail only the first N calls, every: fail every Nth call }
+// Later routes win, so a test can override a default route
+function createMockServer({ routes = [], fixturesDir = __dirname, latency = 0 } = {}) {
+    const routeTable = [];
+    const requests = [];      // Every request received, in order
+    let server = null;
+    let baseUrl = null;
+    
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    
+    // Collect the request body from the stream
+    const readBody = (req) => new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+    
+    // Objects are sent as JSON, strings as text; 204 never has a body
+    const send = (res, status, body, headers = {}) => {
+        const isText = typeof body === 'string';
+        const payload = status === 204 || body === undefined ? '' : isText ? body : JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': isText ? 'text/plain' : 'application/json',
+            ...headers
+        });
+        res.end(payload);
+    };
+    
+    // Does this call fail? times → first N calls, every → every Nth call, neither → always
+    const shouldFail = (fault, call) => {
+        if (fault.times !== undefined) return call <= fault.times;
+        if (fault.every !== undefined) return call % fault.every === 0;
+        return true;
+    };
+    
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const rawBody = await readBody(req);
+        let body;
+        try {
+            body = rawBody ? JSON.parse(rawBody) : undefined;
+        } catch {
+            body = rawBody;
+        }
+        
+        // Record what the client actually sent
+        const received = {
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body,
+            timestamp: new Date().toISOString()
+        };
+        requests.push(received);
+        
+        // Search from the end → most recently added route wins
+        const route = [...routeTable].reverse()
+            .find(r => r.method === req.method && r.pattern.test(url.pathname));
+        if (!route) {
+            // Unknown routes fail loudly instead of returning something that looks valid
+            send(res, 404, { error: 'No mock route', method: req.method, path: url.pathname });
+            return;
+        }
+        route.calls++;
+        received.route = `${route.method} ${route.path}`;
+        const params = url.pathname.match(route.pattern).groups ?? {};
+        
+        await delay(route.latency ?? latency);
+        
+        // Error injection
+        if (route.fault && shouldFail(route.fault, route.calls)) {
+            // 'reset' → connection dropped (client sees a network error)
+            if (route.fault.type === 'reset') return req.socket.destroy();
+            // 'hang' → never answer (client timeout handling gets tested)
+            if (route.fault.type === 'hang') return;
+            send(res, route.fault.status ?? 500, route.fault.body ?? { message: 'Injected failure' });
+            return;
+        }
+        
+        let reply = {};
+        if (route.handler) {
+            reply = await route.handler({ ...received, params });
+        } else if (route.fixture) {
+            reply = { body: JSON.parse(fs.readFileSync(path.join(fixturesDir, route.fixture), 'utf8')) };
+        } else {
+            reply = { body: route.body };
+        }
+        send(res, reply.status ?? route.status ?? 200, reply.body, { ...route.headers, ...reply.headers });
+    };
+    
+    const mock = {
+        // Add a route at any time (also while running)
+        route(definition) {
+            routeTable.push({
+                ...definition,
+                method: (definition.method || 'GET').toUpperCase(),
+                pattern: compileRoutePath(definition.path),
+                calls: 0
+            });
+            return mock;
+        },
+        
+        // Start listening; port 0 = any free port. Resolves with the base URL
+        async start(port = 0) {
+            server = http.createServer((req, res) => {
+                handle(req, res).catch(error => send(res, 500, { error: `Mock handler failed: ${error.message}` }));
+            });
+            server.listen(port, '127.0.0.1');
+            await new Promise((resolve, reject) => {
+                server.once('listening', resolve);
+                server.once('error', reject);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            return baseUrl;
+        },
+        
+        // Stop the server; closeAllConnections() also ends 'hang' requests
+        async close() {
+            if (!server) return;
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            server = null;
+        },
+        
+        get url() {
+            return baseUrl;
+        },
+        
+        // Received requests, optionally filtered: mock.requestsTo('POST', '/users')
+        requests,
+        requestsTo(method, requestPath) {
+            return requests.filter(r => r.method === method && r.path === requestPath);
+        },
+        
+        // Forget recorded requests and call counts (between tests)
+        reset() {
+            requests.length = 0;
+            routeTable.forEach(route => { route.calls = 0; });
+            return mock;
+        }
+    };
+    
+    routes.forEach(mock.route);
+    return mock;
+}
+
+// Routes that mimic jsonplaceholder.typicode.com for the tests below
+const USER_API_ROUTES = [
+    { method: 'GET', path: '/users/1', fixture: 'fixtures/user-1.json' },
+    // POST echoes the new user back with an id, like a real create endpoint
+    { method: 'POST', path: '/users', handler: (req) => ({ status: 201, body: { id: 11, ...req.body } }) },
+    { method: 'PUT', path: '/users/:id', handler: (req) => ({ body: { id: Number(req.params.id), ...req.body } }) },
+    { method: 'DELETE', path: '/users/:id', status: 200, body: {} }
+];
+
+// ========================================== 
+// 11. RECORD & REPLAY (HAR CASSETTES)
+// ========================================== 
+
+console.log("\n=== RECORD & REPLAY ===\n");
+
+// A cassette is a HAR file (HTTP Archive - the format browser DevTools export)
+// holding real request/response pairs
+// - record: send requests for real and save every exchange to the cassette
+// - replay: answer from the cassette only - no network, same result every run
+// - auto:   replay when the cassette exists, otherwise record it
+// Refresh all fixtures in one command:  API_CASSETTE_MODE=record node jsons_operations.js
+
+// Thrown in replay mode when no recorded entry matches - never silently "passes"
+class CassetteMismatchError extends Error {
+    constructor(request, cassettePath, candidates, reason = 'No recorded response') {
+        super(`${reason} in ${cassettePath} for ${request.method} ${request.url}` +
+            (candidates.length ? `\n  Recorded: ${candidates.join('\n            ')}` : ''));
+        this.name = "CassetteMismatchError";
+        this.request = request;
+        this.cassettePath = cassettePath;
+    }
+}
+
+// Transport (see fetchTransport) that records to / replays from a HAR cassette
+// Parameters:
+//   cassettePath - .har file
+//   mode - 'record' | 'replay' | 'auto' (default: API_CASSETTE_MODE env var, else 'auto')
+//   match - which parts of a request must be equal:
+//       method (true), url ('path' = path + query, 'full' = with host, false = ignore),
+//       body (false), headers ([] - names of headers that must match; must not be redacted),
+//       allowRepeats (false - true lets the last match answer again once all were used,
+//       for polling endpoints; otherwise an extra identical request is a mismatch)
+//   transport - the real transport used when recording
+//   redactHeaders - never written to the cassette (secrets would end up in git)
+function createCassetteTransport({
+    cassettePath,
+    mode = process.env.API_CASSETTE_MODE || 'auto',
+    match = {},
+    transport = fetchTransport,
+    redactHeaders = ['authorization', 'cookie', 'set-cookie']
+} = {}) {
+    const rules = { method: true, url: 'path', body: false, headers: [], allowRepeats: false, ...match };
+    const hidden = new Set(redactHeaders.map(name => name.toLowerCase()));
+    // A redacted header is never recorded, so matching on it could never succeed in replay
+    const unmatchable = rules.headers.filter(name => hidden.has(name.toLowerCase()));
+    if (unmatchable.length > 0) {
+        throw new Error(`Cannot match on redacted header(s) ${unmatchable.join(', ')} - remove them from match.headers or redactHeaders`);
+    }
+    
+    // 'auto' becomes record or replay once, when the transport is created
+    const activeMode = mode === 'auto' ? (fs.existsSync(cassettePath) ? 'replay' : 'record') : mode;
+    if (!['record', 'replay'].includes(activeMode)) {
+        throw new Error(`Unknown cassette mode "${mode}" (record, replay, auto)`);
+    }
+    
+    // Recording starts from an empty cassette, replay needs an existing one
+    let entries = [];
+    if (activeMode === 'replay') {
+        if (!fs.existsSync(cassettePath)) {
+            throw new Error(`Cassette ${cassettePath} not found - run once with API_CASSETTE_MODE=record`);
+        }
+        entries = JSON.parse(fs.readFileSync(cassettePath, 'utf8')).log.entries;
+    }
+    // Entries already served - identical requests replay in recorded order
+    const used = new Set();
+    
+    // HAR stores headers as [{ name, value }]
+    const toHarHeaders = (headers = {}) => Object.entries(headers)
+        .filter(([name]) => !hidden.has(name.toLowerCase()))
+        .map(([name, value]) => ({ name, value: String(value) }));
+    const fromHarHeaders = (headers) => Object.fromEntries(headers.map(({ name, value }) => [name, value]));
+    
+    // The part of the URL that has to match
+    const urlKey = (url) => {
+        if (rules.url === false) return '';
+        const parsed = new URL(url);
+        return rules.url === 'full' ? parsed.href : parsed.pathname + parsed.search;
+    };
+    
+    // Compare request headers case-insensitively
+    const headerValue = (headers, name) =>
+        Object.entries(headers ?? {}).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1];
+    
+    const matches = (entry, request) =>
+        (!rules.method || entry.request.method === request.method)
+        && urlKey(entry.request.url) === urlKey(request.url)
+        && (!rules.body || (entry.request.postData?.text ?? undefined) === (request.body ?? undefined))
+        && rules.headers.every(name =>
+            headerValue(fromHarHeaders(entry.request.headers), name) === headerValue(request.headers, name));
+    
+    const save = () => {
+        fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+        const har = { log: { version: '1.2', creator: { name: 'APITester', version: '1.0' }, entries } };
+        fs.writeFileSync(cassettePath, JSON.stringify(har, null, 2));
+    };
+    
+    const cassetteTransport = async (request, signal) => {
+        if (activeMode === 'replay') {
+            // First unused match; the last one repeats only when allowRepeats is on
+            const candidates = entries.filter(entry => matches(entry, request));
+            const entry = candidates.find(candidate => !used.has(candidate))
+                ?? (rules.allowRepeats ? candidates[candidates.length - 1] : undefined);
+            if (!entry) {
+                throw new CassetteMismatchError(request, cassettePath,
+                    entries.map(e => `${e.request.method} ${e.request.url}`),
+                    candidates.length ? 'Every matching recorded response was already used' : undefined);
+            }
+            used.add(entry);
+            return {
+                status: entry.response.status,
+                statusText: entry.response.statusText,
+                headers: fromHarHeaders(entry.response.headers),
+                body: entry.response.content.text ?? ''
+            };
+        }
+        
+        // Record: real call, then store the exchange in HAR format
+        const started = Date.now();
+        const response = await transport(request, signal);
+        const time = Date.now() - started;
+        const url = new URL(request.url);
+        entries.push({
+            startedDateTime: new Date(started).toISOString(),
+            time,
+            request: {
+                method: request.method,
+                url: request.url,
+                httpVersion: 'HTTP/1.1',
+                headers: toHarHeaders(request.headers),
+                queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+                ...(request.body !== undefined && {
+                    postData: { mimeType: headerValue(request.headers, 'content-type') ?? 'application/json', text: request.body }
+                }),
+                headersSize: -1,
+                bodySize: request.body ? Buffer.byteLength(request.body) : 0
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                httpVersion: 'HTTP/1.1',
+                headers: toHarHeaders(response.headers),
+                content: {
+                    size: Buffer.byteLength(response.body),
+                    mimeType: headerValue(response.headers, 'content-type') ?? 'text/plain',
+                    text: response.body
+                },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: Buffer.byteLength(response.body)
+            },
+            cache: {},
+            // Only total time is known at this level - HAR requires all three
+            timings: { send: 0, wait: time, receive: 0 }
+        });
+        // Saved after every exchange - a crash mid-run keeps what was recorded
+        save();
+        return response;
+    };
+    
+    // Exposed for reporting: which mode is active, how many entries exist
+    cassetteTransport.mode = activeMode;
+    cassetteTransport.entries = () => entries.length;
+    return cassetteTransport;
+}
+
+// Record against the mock server, then replay with the server stopped
+async function runCassetteDemo() {
+    const cassettePath = 'results/cassettes/users.har';
+    
+    // 1. Record (forced, so the demo always starts fresh)
+    const mock = createMockServer({ routes: USER_API_ROUTES });
+    const recordUrl = await mock.start();
+    const recorder = createCassetteTransport({ cassettePath, mode: 'record' });
+    try {
+        const recordingApi = new APITester(recordUrl, { transport: recorder });
+        recordingApi.setAuthToken('secret-token');
+        await recordingApi.get('/users/1');
+        await recordingApi.post('/users', { name: 'Cassette User' });
+    } finally {
+        // Stop the server even if recording failed
+        await mock.close();
+    }
+    console.log(`📼 Recorded ${recorder.entries()} exchanges to ${cassettePath} (Authorization not stored)`);
+    
+    // 2. Replay - the server is gone, answers come from the cassette
+    // Host/port differ from the recording; url: 'path' matching ignores that
+    const replayApi = new APITester('http://replay.invalid', {
+        transport: createCassetteTransport({ cassettePath, mode: 'replay', match: { body: true } })
+    });
+    const user = await replayApi.get('/users/1');
+    console.log(`▶️  Replayed GET /users/1 → ${user.status} ${user.data.name}`);
+    
+    // 3. Anything not recorded fails loudly - including a second identical call
+    for (const send of [
+        () => replayApi.post('/users', { name: 'Someone Else' }),
+        () => replayApi.get('/users/1')
+    ]) {
+        try {
+            await send();
+        } catch (error) {
+            console.log(`🛑 ${error.name}: ${error.message}`);
+        }
+    }
+}
+
+// ========================================== 
+// 12. COMPLETE API TEST EXAMPLE
 // ========================================== 
 
 console.log("\n=== COMPLETE API TEST ===\n");
 
+// Contract for GET /users/:id - nested fields are optional but must be typed correctly
+const USER_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'email'],
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1 },
+        username: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        website: { type: 'string', pattern: '^[a-z0-9.-]+\\.[a-z]{2,}$' },
+        address: {
+            type: 'object',
+            required: ['city'],
+            properties: {
+                city: { type: 'string' },
+                geo: {
+                    type: 'object',
+                    properties: {
+                        lat: { type: 'number', minimum: -90, maximum: 90 },
+                        lng: { type: 'number', minimum: -180, maximum: 180 }
+                    }
+                }
+            }
+        }
+    }
+};
+
 async function runAPITest() {
+    // Local mock server instead of jsonplaceholder.typicode.com - no network needed
+    const mock = createMockServer({ routes: USER_API_ROUTES, latency: 20 });
+    const baseUrl = await mock.start();
+    
     // Create API tester instance
-    const api = new APITester('https://jsonplaceholder.typicode.com');
+    // 5s per request; tracing headers on every request; secrets masked in the log
+    const api = new APITester(baseUrl, { timeout: 5000 })
+        .use(tracingInterceptor('api-suite'))
+        .use(redactionInterceptor(['authorization', 'password']));
+    api.setAuthToken('demo-token');
     
     console.log("🧪 Starting API Test Suite\n");
     
@@ -584,7 +1340,8 @@ async function runAPITest() {
         const getUserResponse = await api.get('/users/1');
         api.verifyResponse(getUserResponse, {
             status: 200,
-            fields: ['id', 'name', 'email']
+            fields: ['id', 'name', 'email'],
+            schema: USER_SCHEMA
         });
         
         // TEST 2: POST create user
@@ -614,19 +1371,74 @@ async function runAPITest() {
         const deleteResponse = await api.delete('/users/1');
         console.log(`✓ Delete status: ${deleteResponse.status}`);
         
+        // TEST 5: Server error on first call (injected) - second call succeeds
+        console.log("\nTEST 5: Recover From Injected 503");
+        mock.route({ method: 'GET', path: '/users/2', body: { id: 2, name: 'Ervin' }, fault: { status: 503, times: 1 } });
+        const firstTry = await api.get('/users/2').catch(error => error);
+        const secondTry = await api.get('/users/2');
+        console.log(`✓ First call: ${firstTry.statusCode}, second call: ${secondTry.status}`);
+        
+        // TEST 6: Endpoint that never answers → client timeout
+        console.log("\nTEST 6: Timeout On Hanging Endpoint");
+        mock.route({ method: 'GET', path: '/reports', fault: { type: 'hang' } });
+        const timeoutError = await api.get('/reports', { timeout: 200 }).catch(error => error);
+        if (!(timeoutError instanceof TimeoutError)) {
+            throw new AssertionError('TimeoutError', String(timeoutError));
+        }
+        console.log(`✓ ${timeoutError.message}`);
+        
+        // TEST 7: Contract regression - wrong types and a broken nested field
+        console.log("\nTEST 7: Detect Contract Regression");
+        mock.route({
+            method: 'GET',
+            path: '/users/3',
+            body: { id: '3', name: 'Clementine', email: 'not-an-email', address: { city: 'McKenziehaven', geo: { lat: '-68.6' } } }
+        });
+        const brokenResponse = await api.get('/users/3');
+        try {
+            api.verifyResponse(brokenResponse, { status: 200, schema: USER_SCHEMA });
+            throw new Error("Schema violations were not detected");
+        } catch (error) {
+            if (!(error instanceof AssertionError)) throw error;
+            // Exactly the three broken fields - no more, no less
+            const paths = error.violations.map(v => v.path).sort();
+            const expectedPaths = ['$.address.geo.lat', '$.email', '$.id'];
+            if (paths.join() !== expectedPaths.join()) {
+                throw new AssertionError(expectedPaths.join(', '), paths.join(', '));
+            }
+            console.log(`✓ Caught ${paths.length} violations: ${paths.join(', ')}`);
+        }
+        
+        // The mock recorded what the client really sent
+        const [created] = mock.requestsTo('POST', '/users');
+        console.log(`\n📨 Mock received ${mock.requests.length} requests; POST body name: ${created.body.name}`);
+        
         console.log("\n✅ ALL API TESTS PASSED!");
         
     } catch (error) {
         console.log("\n❌ API TEST FAILED");
         logError(error, { testName: "API Test Suite" });
+        
+        // The captured exchange shows exactly what was sent (secrets masked)
+        if (error.exchange) {
+            console.log("Failed exchange:", JSON.stringify(error.exchange, null, 2));
+        }
+    } finally {
+        // Always stop the server, or the process never exits
+        await mock.close();
     }
 }
 
-// Run the complete test
-runAPITest();
+// Run the complete test, then the record/replay demo (one after the other)
+runAPITest()
+    .then(runCassetteDemo)
+    .catch(error => {
+        console.error("💥 API demo crashed:", error);
+        process.exitCode = 1;
+    });
 
 // ========================================== 
-// 11. SAVING TEST DATA TO JSON FILE
+// 13. SAVING TEST DATA TO JSON FILE
 // ========================================== 
 
 console.log("\n=== WORKING WITH JSON FILES ===\n");
@@ -704,6 +1516,11 @@ API TESTING:
 5. Handle network errors and API errors separately
 6. Create API testing class for reusable code
 7. Verify response status and structure
+8. Interceptors for auth/tracing headers and log redaction
+9. Per-request timeouts with AbortController + exchange log for failed tests
+10. Local mock server (node:http) - offline, deterministic, latency/error injection
+11. HAR cassettes - record real exchanges once, replay them deterministically
+12. expected.schema - JSON Schema checks report every violation with its JSON path
 
 BEST PRACTICES:
 - Always handle JSON parsing errors
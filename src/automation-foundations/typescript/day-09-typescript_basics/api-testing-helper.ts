@@ -5,6 +5,11 @@
 // This example demonstrates TypeScript for API test automation:
 // HTTP methods, request/response handling, validation, and reporting
 
+// Node's HTTP, file and path modules - used by the local mock server (FUNCTION 9)
+import * as http from "http";
+import * as fs from "fs";
+import * as path from "path";
+
 // TYPE ALIAS: HTTP methods supported by the API
 // Union type restricts to standard HTTP verbs only
 // Ensures only valid HTTP methods can be used
@@ -114,6 +119,58 @@ type ApiTestResult = {
     totalExecutionTime: number;
 };
 
+// TYPE ALIAS: Function that performs the HTTP call for runApiTest
+// simulateApiCall (random, in-memory) and sendApiRequest (real HTTP) both fit
+// Return can be a value or a Promise - runApiTest awaits either
+type ApiCaller = (endpoint: ApiEndpoint, baseUrl: string) => ApiResponse | Promise<ApiResponse>;
+
+// TYPE ALIAS: One route of the local mock server
+type MockRoute = {
+    // HTTP method and path; ":name" segments match any value (e.g. "/users/:id")
+    method: HttpMethod;
+    path: string;
+    
+    // Static answer (status defaults to 200)
+    status?: number;
+    body?: any;
+    
+    // Optional: Dynamic answer computed from the received request
+    handler?: (request: RecordedRequest) => { status?: number; body?: any };
+    
+    // Optional: JSON file used as the body (relative to fixturesDir)
+    fixture?: string;
+    
+    // Optional: Delay before answering (milliseconds)
+    latencyMs?: number;
+    
+    // Optional: Error injection
+    // type: "status" answers with status (default 500), "reset" drops the connection,
+    // "hang" never answers (tests client timeouts)
+    // times: only the first N calls fail (omit = every call fails)
+    fault?: { type?: "status" | "reset" | "hang"; status?: number; times?: number };
+};
+
+// TYPE ALIAS: Request as received and recorded by the mock server
+type RecordedRequest = {
+    method: string;
+    path: string;
+    query: Record<string, string>;
+    headers: http.IncomingHttpHeaders;
+    body: any;
+    // Values of ":name" path segments
+    params: Record<string, string>;
+};
+
+// TYPE ALIAS: Running mock server handle
+type MockServer = {
+    // Base URL to pass to runApiTest (e.g. "http://127.0.0.1:51234")
+    url: string;
+    // Every request received, in order
+    requests: RecordedRequest[];
+    // Stop the server
+    close: () => Promise<void>;
+};
+
 // ==========================================
 // FUNCTION 1: BUILD URL
 // ==========================================
@@ -343,6 +400,66 @@ function simulateApiCall(endpoint: ApiEndpoint, baseUrl: string): ApiResponse {
     return response;
 }
 
+// ==========================================
+// FUNCTION 3b: SEND API REQUEST
+// ==========================================
+// Real HTTP version of simulateApiCall - same input, same ApiResponse output
+// Parameters: API endpoint configuration and base URL
+// Return type: Promise<ApiResponse> (async - network calls take time)
+// Uses Node's built-in fetch(); network failures become statusCode 0
+async function sendApiRequest(endpoint: ApiEndpoint, baseUrl: string): Promise<ApiResponse> {
+    console.log(`\n🌐 Sending ${endpoint.method} request to ${endpoint.name}`);
+    
+    const startTime = Date.now();
+    const fullUrl = buildUrl(baseUrl, endpoint.path, endpoint.queryParams);
+    
+    try {
+        const response = await fetch(fullUrl, {
+            method: endpoint.method,
+            headers: endpoint.headers,
+            // Objects are sent as JSON; GET/DELETE normally have no body
+            body: endpoint.body === undefined ? undefined : JSON.stringify(endpoint.body)
+        });
+        
+        // Read as text first - empty bodies (204) and non-JSON both stay safe
+        const text = await response.text();
+        let body: any = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch {
+            body = text;
+        }
+        
+        const responseTime = Date.now() - startTime;
+        const category = categorizeStatusCode(response.status);
+        console.log(`Response: ${response.status} (${category}) - ${responseTime}ms`);
+        
+        return {
+            statusCode: response.status,
+            statusCategory: category,
+            body: body,
+            // Headers object → plain Record<string, string>
+            headers: Object.fromEntries(response.headers),
+            responseTime: responseTime,
+            errorMessage: category !== "success"
+                ? `Request failed with status ${response.status}`
+                : undefined
+        };
+    } catch (error) {
+        // Network error (server down, DNS, connection reset) - no HTTP status at all
+        const message = error instanceof Error ? error.message : String(error);
+        console.log(`Network error: ${message}`);
+        return {
+            statusCode: 0,
+            statusCategory: "unknown",
+            body: null,
+            headers: {},
+            responseTime: Date.now() - startTime,
+            errorMessage: `Network error: ${message}`
+        };
+    }
+}
+
 // ==========================================
 // FUNCTION 4: CREATE VALIDATION RULE
 // ==========================================
@@ -410,13 +527,15 @@ function validateResponse(
 // ==========================================
 // Executes complete API test with validations
 // Parameters: Endpoint configuration, base URL, validation rules
-// Return type: ApiTestResult with complete test outcome
+// Return type: Promise<ApiTestResult> with complete test outcome
 // Main function that orchestrates the entire API test flow
-function runApiTest(
+// caller decides how the request is made (simulated by default, real HTTP with sendApiRequest)
+async function runApiTest(
     endpoint: ApiEndpoint,           // Endpoint to test
     baseUrl: string,                 // API base URL
-    validationRules: ValidationRule[] // Validations to perform
-): ApiTestResult {
+    validationRules: ValidationRule[], // Validations to perform
+    caller: ApiCaller = simulateApiCall // How to make the call
+): Promise<ApiTestResult> {
     // Log test start with separator
     console.log("\n" + "=".repeat(70));
     console.log(`🧪 API TEST: ${endpoint.name}`);
@@ -425,8 +544,8 @@ function runApiTest(
     // Record test start time for total execution time
     const testStartTime = Date.now();
     
-    // Step 1: Make API call (simulated in this example)
-    const response: ApiResponse = simulateApiCall(endpoint, baseUrl);
+    // Step 1: Make API call (simulated or real, depending on caller)
+    const response: ApiResponse = await caller(endpoint, baseUrl);
     
     // Step 2: Run all validations on the response
     const validationResults = validateResponse(response, validationRules);
@@ -534,6 +653,142 @@ function generateTestReport(testResults: ApiTestResult[]): void {
     console.log("★".repeat(70) + "\n");
 }
 
+// ==========================================
+// FUNCTION 8: MATCH MOCK ROUTE PATH
+// ==========================================
+// Compares a route path like "/users/:id" with a request path like "/users/123"
+// Parameters: Route path and actual request path
+// Return type: Path params object if it matches, null if it doesn't
+function matchRoutePath(routePath: string, requestPath: string): Record<string, string> | null {
+    const routeParts = routePath.split("/");
+    const requestParts = requestPath.split("/");
+    if (routeParts.length !== requestParts.length) return null;
+    
+    const params: Record<string, string> = {};
+    for (let i = 0; i < routeParts.length; i++) {
+        if (routeParts[i].startsWith(":")) {
+            // ":id" matches any segment and captures it
+            params[routeParts[i].slice(1)] = decodeURIComponent(requestParts[i]);
+        } else if (routeParts[i] !== requestParts[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+// ==========================================
+// FUNCTION 9: START MOCK SERVER
+// ==========================================
+// Starts a real HTTP server on localhost that answers from route definitions
+// Parameters: Array of mock routes, folder that fixture paths are relative to
+// Return type: Promise<MockServer> - resolves once the server is listening
+// Deterministic and offline: tests run in CI without network access
+// Unmatched requests get 404 so missing routes are noticed immediately
+// The last matching route wins (as in createMockServer in day8 jsons_operations.js),
+// so a later route can override an earlier one for a single test
+function startMockServer(routes: MockRoute[], fixturesDir: string = __dirname): Promise<MockServer> {
+    const requests: RecordedRequest[] = [];
+    // Call count per route - used by fault.times
+    const calls = new Map<MockRoute, number>();
+    
+    const server = http.createServer((req, res) => {
+        // Collect the request body chunks, then answer
+        const chunks: Buffer[] = [];
+        req.on("data", (chunk: Buffer) => chunks.push(chunk));
+        req.on("end", () => {
+            const url = new URL(req.url ?? "/", "http://localhost");
+            const text = Buffer.concat(chunks).toString("utf8");
+            let body: any = undefined;
+            try {
+                body = text ? JSON.parse(text) : undefined;
+            } catch {
+                body = text;
+            }
+            
+            // Search from the end → the most recently added matching route wins
+            let route: MockRoute | undefined;
+            let params: Record<string, string> = {};
+            for (const candidate of [...routes].reverse()) {
+                const match = candidate.method === req.method ? matchRoutePath(candidate.path, url.pathname) : null;
+                if (match) {
+                    route = candidate;
+                    params = match;
+                    break;
+                }
+            }
+            
+            // Record what the client sent (also for unmatched requests)
+            const recorded: RecordedRequest = {
+                method: req.method ?? "GET",
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: body,
+                params: params
+            };
+            requests.push(recorded);
+            
+            // Send status + optional JSON body
+            const reply = (status: number, replyBody?: any): void => {
+                res.writeHead(status, { "content-type": "application/json" });
+                res.end(status === 204 || replyBody === undefined ? "" : JSON.stringify(replyBody));
+            };
+            
+            if (!route) {
+                reply(404, { success: false, error: `No mock route for ${req.method} ${url.pathname}` });
+                return;
+            }
+            
+            const callNumber = (calls.get(route) ?? 0) + 1;
+            calls.set(route, callNumber);
+            
+            // Latency injection, then error injection, then the normal answer
+            setTimeout(() => {
+                // An exception here would crash the process - answer 500 instead
+                try {
+                    if (route.fault && (route.fault.times === undefined || callNumber <= route.fault.times)) {
+                        if (route.fault.type === "reset") {
+                            req.socket.destroy();
+                        } else if (route.fault.type !== "hang") {
+                            reply(route.fault.status ?? 500, { success: false, error: "Injected failure" });
+                        }
+                        return;
+                    }
+                    let answer: { status?: number; body?: any };
+                    if (route.handler) {
+                        answer = route.handler(recorded);
+                    } else if (route.fixture) {
+                        answer = { body: JSON.parse(fs.readFileSync(path.join(fixturesDir, route.fixture), "utf8")) };
+                    } else {
+                        answer = { status: route.status, body: route.body };
+                    }
+                    reply(answer.status ?? route.status ?? 200, answer.body);
+                } catch (error) {
+                    const message = error instanceof Error ? error.message : String(error);
+                    reply(500, { success: false, error: `Mock handler failed: ${message}` });
+                }
+            }, route.latencyMs ?? 0);
+        });
+    });
+    
+    // Port 0 → the OS picks a free port (no clashes between parallel CI jobs)
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+            const address = server.address();
+            const port = typeof address === "object" && address ? address.port : 0;
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                requests: requests,
+                close: () => new Promise<void>(done => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
 // ==========================================
 // EXECUTION: DEMONSTRATION
 // ==========================================
@@ -541,8 +796,31 @@ function generateTestReport(testResults: ApiTestResult[]): void {
 
 console.log("========== API TESTING FRAMEWORK DEMO ==========\n");
 
-// Define API base URL
-const API_BASE_URL = "https://api.example.com";
+// Mock routes answering the three tests below
+// Responses have the same shape simulateApiCall produces, but never change between runs
+const API_MOCK_ROUTES: MockRoute[] = [
+    {
+        method: "GET",
+        path: "/users/:id",
+        latencyMs: 50,
+        handler: (request) => ({
+            body: {
+                success: true,
+                data: { id: Number(request.params.id), name: "Test User", email: "test@example.com" }
+            }
+        })
+    },
+    {
+        method: "POST",
+        path: "/users",
+        // Echo back the posted data with a fixed ID
+        handler: (request) => ({
+            status: 201,
+            body: { success: true, data: { id: 1001, ...request.body }, message: "Resource created successfully" }
+        })
+    },
+    { method: "DELETE", path: "/users/:id", status: 204 }
+];
 
 // ========================================
 // TEST 1: GET User by ID
@@ -591,8 +869,6 @@ const getUserValidations: ValidationRule[] = [
     )
 ];
 
-// Run the test
-const test1Result = runApiTest(getUserEndpoint, API_BASE_URL, getUserValidations);
 
 // ========================================
 // TEST 2: POST Create New User
@@ -637,8 +913,6 @@ const createUserValidations: ValidationRule[] = [
     )
 ];
 
-// Run the test
-const test2Result = runApiTest(createUserEndpoint, API_BASE_URL, createUserValidations);
 
 // ========================================
 // TEST 3: DELETE User
@@ -671,18 +945,43 @@ const deleteUserValidations: ValidationRule[] = [
     )
 ];
 
-// Run the test
-const test3Result = runApiTest(deleteUserEndpoint, API_BASE_URL, deleteUserValidations);
 
 // ========================================
-// GENERATE FINAL REPORT
+// RUN TESTS AGAINST THE MOCK SERVER
 // ========================================
-console.log("\n--- Generating Final Report ---");
-
-// Collect all test results
-const allResults: ApiTestResult[] = [test1Result, test2Result, test3Result];
-
-// Generate comprehensive report
-generateTestReport(allResults);
-
-console.log("========== DEMO COMPLETE ==========");
\ No newline at end of file
+// async wrapper - top-level await isn't available in CommonJS output
+(async () => {
+    console.log("\n--- Starting Mock Server ---");
+    const mockServer = await startMockServer(API_MOCK_ROUTES);
+    console.log(`Mock server listening on ${mockServer.url}`);
+    
+    try {
+        // Run the tests one after another with real HTTP calls
+        const test1Result = await runApiTest(getUserEndpoint, mockServer.url, getUserValidations, sendApiRequest);
+        const test2Result = await runApiTest(createUserEndpoint, mockServer.url, createUserValidations, sendApiRequest);
+        const test3Result = await runApiTest(deleteUserEndpoint, mockServer.url, deleteUserValidations, sendApiRequest);
+        
+        // The mock recorded what was actually sent
+        console.log(`\n📨 Mock server received ${mockServer.requests.length} requests`);
+        console.log(`   POST body: ${JSON.stringify(mockServer.requests[1]?.body)}`);
+        
+        // ========================================
+        // GENERATE FINAL REPORT
+        // ========================================
+        console.log("\n--- Generating Final Report ---");
+        
+        // Collect all test results
+        const allResults: ApiTestResult[] = [test1Result, test2Result, test3Result];
+        
+        // Generate comprehensive report
+        generateTestReport(allResults);
+    } finally {
+        // Always stop the server, otherwise the process keeps running
+        await mockServer.close();
+    }
+    
+    console.log("========== DEMO COMPLETE ==========");
+})().catch((error) => {
+    console.error("💥 Demo crashed:", error);
+    process.exitCode = 1;
+});
\ No newline at end of file
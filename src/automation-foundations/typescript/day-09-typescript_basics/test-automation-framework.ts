@@ -5,6 +5,11 @@
 // This example demonstrates TypeScript with test automation concepts:
 // test configuration, execution tracking, reporting, and browser management
 
+// NODE MODULES: file system access for shard result files and JUnit reports
+// Importing anything turns this file into a module (its types stay local)
+import * as fs from "fs";
+import * as path from "path";
+
 // TYPE ALIAS: Browser types supported by the framework
 // Union type restricts to only these three browser options
 // Prevents typos like "chorme" or "firefix" at compile time
@@ -49,6 +54,22 @@ type TestConfig = {
     screenshotOnFailure?: boolean;
 };
 
+// TYPE ALIAS: Result of one execution attempt of a test
+// A test with retries has one of these per try, in order
+type TestAttempt = {
+    // 1 for the first run, 2 for the first retry, ...
+    attempt: number;
+    
+    // An attempt either passes or fails - never pending/running/skipped
+    status: "passed" | "failed";
+    
+    // Time taken by this attempt (in seconds)
+    duration: number;
+    
+    // Optional: Error message if this attempt failed
+    errorMessage?: string;
+};
+
 // TYPE ALIAS: Individual test case structure
 // Represents a single test with all its metadata
 type TestCase = {
@@ -73,6 +94,18 @@ type TestCase = {
     
     // Optional: URL of screenshot if captured
     screenshotPath?: string;
+    
+    // Optional: Every attempt made by the runner (filled in after execution)
+    attempts?: TestAttempt[];
+    
+    // Optional: true when the test failed at least once and then passed on retry
+    flaky?: boolean;
+    
+    // Optional: labels such as "smoke" or "quarantine"
+    tags?: string[];
+    
+    // Optional: true for known-flaky tests - they run, but never fail the build
+    quarantined?: boolean;
 };
 
 // TYPE ALIAS: Test suite containing multiple related tests
@@ -113,6 +146,16 @@ type TestSummary = {
     // Number of tests that were skipped
     skipped: number;
     
+    // Number of passed tests that needed a retry (counted in passed too)
+    flaky: number;
+    
+    // Quarantined tests are a separate bucket: NOT part of total/passed/failed/passRate
+    quarantined: {
+        total: number;
+        passed: number;
+        failed: number;
+    };
+    
     // Percentage of tests that passed (0-100)
     passRate: number;
     
@@ -120,6 +163,23 @@ type TestSummary = {
     totalDuration: number;
 };
 
+// TYPE ALIAS: Which slice of the tests this process runs
+// "--shard=2/3" → { index: 2, total: 3 } (index is 1-based, like CI job numbers)
+type ShardSpec = {
+    index: number;
+    total: number;
+};
+
+// TYPE ALIAS: Contents of one per-shard result file
+// Each CI machine writes one of these; the merge step reads them all back
+type ShardResult = {
+    shard: ShardSpec;
+    suiteId: string;
+    suiteName: string;
+    tests: TestCase[];
+    summary: TestSummary;
+};
+
 // ==========================================
 // FUNCTION 1: CREATE TEST CONFIG
 // ==========================================
@@ -172,7 +232,8 @@ function createTestConfig(
 function createTestCase(
     id: string,                    // Unique test identifier
     name: string,                  // Descriptive test name
-    priority: Priority             // Test priority level
+    priority: Priority,            // Test priority level
+    tags: string[] = []            // Optional labels (e.g. ["smoke"], ["quarantine"])
 ): TestCase {
     // Log test case creation
     console.log(`Creating test case: ${name} (Priority: ${priority})`);
@@ -184,6 +245,7 @@ function createTestCase(
         status: "pending",             // Initial status is pending
         priority: priority,            // Assign provided priority
         duration: 0,                   // Duration unknown until execution
+        tags: tags,                    // Labels used for filtering and quarantine
         // errorMessage is undefined initially (optional property)
         // screenshotPath is undefined initially (optional property)
     };
@@ -219,9 +281,10 @@ function createTestSuite(
 // ==========================================
 // FUNCTION 4: RUN TEST CASE
 // ==========================================
-// Simulates execution of a single test case
+// Simulates execution of a single test case, retrying failures
 // Parameters: Test case object and configuration
-// Return type: Updated TestCase with execution results
+// Return type: Updated TestCase with execution results and every attempt
+// config.retryAttempts = extra tries after the first failure (0 = no retries)
 // In real framework, this would interact with actual browser/application
 function runTestCase(test: TestCase, config: TestConfig): TestCase {
     // Log test execution start
@@ -235,40 +298,33 @@ function runTestCase(test: TestCase, config: TestConfig): TestCase {
         status: "running"          // Update status to running
     };
     
-    // Record start time for duration calculation
-    const startTime = Date.now();
+    // RETRY LOOP: stop at the first passing attempt
+    // ?? 0 → a config without retryAttempts runs the test exactly once
+    const maxAttempts = 1 + Math.max(0, config.retryAttempts ?? 0);
+    const attempts: TestAttempt[] = [];
     
-    // SIMULATION: Actual test execution would happen here
-    // For this example, we'll randomly pass/fail tests based on priority
-    // In real scenario: interact with browser, verify UI elements, etc.
-    
-    // Simulate test execution delay (random between 1-3 seconds)
-    const executionDelay = Math.random() * 2000 + 1000;
-    
-    // Calculate if test should pass or fail (simulation)
-    // Critical tests: 95% pass rate
-    // High priority: 90% pass rate
-    // Medium priority: 85% pass rate
-    // Low priority: 80% pass rate
-    let passThreshold: number;
-    if (test.priority === "critical") {
-        passThreshold = 0.95;      // 95% chance to pass
-    } else if (test.priority === "high") {
-        passThreshold = 0.90;      // 90% chance to pass
-    } else if (test.priority === "medium") {
-        passThreshold = 0.85;      // 85% chance to pass
-    } else {
-        passThreshold = 0.80;      // 80% chance to pass
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (attempt > 1) {
+            console.log(`   🔁 Retry ${attempt - 1}/${maxAttempts - 1}`);
+        }
+        
+        const result = runTestAttempt(test, attempt);
+        attempts.push(result);
+        
+        if (result.status === "passed") {
+            break;                 // Passed - no more retries needed
+        }
+        console.log(`   ✗ Attempt ${attempt} failed: ${result.errorMessage}`);
     }
     
-    // Generate random number to determine pass/fail
-    const randomValue = Math.random();
-    const testPassed = randomValue < passThreshold;
+    // Final result = last attempt; duration = time spent on all attempts
+    const lastAttempt = attempts[attempts.length - 1];
+    const testPassed = lastAttempt.status === "passed";
+    const duration = attempts.reduce((sum, attempt) => sum + attempt.duration, 0);
     
-    // Calculate test duration
-    // In real scenario, this would be actual execution time
-    const endTime = Date.now();
-    const duration = (endTime - startTime) / 1000; // Convert to seconds
+    // FLAKY: failed at least once, then passed
+    // Still counts as passed, but is reported separately so it gets fixed
+    const flaky = testPassed && attempts.length > 1;
     
     // Create updated test object with results
     const completedTest: TestCase = {
@@ -278,18 +334,26 @@ function runTestCase(test: TestCase, config: TestConfig): TestCase {
         // Add error message if test failed
         errorMessage: testPassed 
             ? undefined                              // No error message for passed tests
-            : `Test failed: Assertion error at step ${Math.floor(Math.random() * 5) + 1}`,
+            : lastAttempt.errorMessage,
         // Add screenshot path if configured and test failed
         screenshotPath: (!testPassed && config.screenshotOnFailure)
             ? `screenshots/${test.id}_${Date.now()}.png`
-            : undefined
+            : undefined,
+        attempts: attempts,                          // Keep every attempt for reporting
+        flaky: flaky
     };
     
     // Log test result
-    if (testPassed) {
+    // Quarantined failures are shown but clearly marked as not counting
+    if (test.quarantined && !testPassed) {
+        console.log(`   🚧 FAILED (quarantined - not counted) (${duration.toFixed(2)}s)`);
+        console.log(`   Error: ${completedTest.errorMessage}`);
+    } else if (flaky) {
+        console.log(`   ⚠️  PASSED ON RETRY - FLAKY (${duration.toFixed(2)}s, ${attempts.length} attempts)`);
+    } else if (testPassed) {
         console.log(`   ✅ PASSED (${duration.toFixed(2)}s)`);
     } else {
-        console.log(`   ❌ FAILED (${duration.toFixed(2)}s)`);
+        console.log(`   ❌ FAILED (${duration.toFixed(2)}s, ${attempts.length} attempt(s))`);
         if (completedTest.errorMessage) {
             console.log(`   Error: ${completedTest.errorMessage}`);
         }
@@ -302,6 +366,55 @@ function runTestCase(test: TestCase, config: TestConfig): TestCase {
     return completedTest;
 }
 
+// ==========================================
+// FUNCTION 4a: RUN ONE TEST ATTEMPT
+// ==========================================
+// One try of a test - called by runTestCase once per attempt
+// Parameters: Test case and attempt number
+// Return type: TestAttempt (passed/failed + duration + error)
+function runTestAttempt(test: TestCase, attempt: number): TestAttempt {
+    // Record start time for duration calculation
+    const startTime = Date.now();
+    
+    // SIMULATION: Actual test execution would happen here
+    // For this example, we'll randomly pass/fail tests based on priority
+    // In real scenario: interact with browser, verify UI elements, etc.
+    
+    // Calculate if test should pass or fail (simulation)
+    // Critical tests: 95% pass rate
+    // High priority: 90% pass rate
+    // Medium priority: 85% pass rate
+    // Low priority: 80% pass rate
+    let passThreshold: number;
+    if (test.priority === "critical") {
+        passThreshold = 0.95;      // 95% chance to pass
+    } else if (test.priority === "high") {
+        passThreshold = 0.90;      // 90% chance to pass
+    } else if (test.priority === "medium") {
+        passThreshold = 0.85;      // 85% chance to pass
+    } else {
+        passThreshold = 0.80;      // 80% chance to pass
+    }
+    
+    // Generate random number to determine pass/fail
+    const randomValue = Math.random();
+    const attemptPassed = randomValue < passThreshold;
+    
+    // Calculate attempt duration
+    // In real scenario, this would be actual execution time
+    const endTime = Date.now();
+    const duration = (endTime - startTime) / 1000; // Convert to seconds
+    
+    return {
+        attempt: attempt,
+        status: attemptPassed ? "passed" : "failed",
+        duration: duration,
+        errorMessage: attemptPassed
+            ? undefined
+            : `Test failed: Assertion error at step ${Math.floor(Math.random() * 5) + 1}`
+    };
+}
+
 // ==========================================
 // FUNCTION 5: RUN TEST SUITE
 // ==========================================
@@ -357,9 +470,13 @@ function runTestSuite(suite: TestSuite, config: TestConfig): TestSuite {
 // Return type: TestSummary object with all statistics
 // Aggregates results for reporting and metrics
 function generateTestSummary(suite: TestSuite): TestSummary {
+    // Quarantined tests go to their own bucket so they can't move passRate
+    const countedTests = suite.tests.filter(test => !test.quarantined);
+    const quarantinedTests = suite.tests.filter(test => test.quarantined);
+    
     // Count tests by status using reduce
     // reduce() iterates through tests and accumulates counts
-    const statusCounts = suite.tests.reduce(
+    const statusCounts = countedTests.reduce(
         (acc, test) => {
             // Increment counter for this test's status
             if (test.status === "passed") {
@@ -369,16 +486,21 @@ function generateTestSummary(suite: TestSuite): TestSummary {
             } else if (test.status === "skipped") {
                 acc.skipped++;
             }
+            // Flaky tests are also passed - this is an extra count, not a status
+            if (test.flaky) {
+                acc.flaky++;
+            }
             return acc;        // Return accumulator for next iteration
         },
         // Initial accumulator value: object with zero counts
-        { passed: 0, failed: 0, skipped: 0 }
+        { passed: 0, failed: 0, skipped: 0, flaky: 0 }
     );
     
-    // Calculate total number of tests
-    const total = suite.tests.length;
+    // Calculate total number of tests (quarantined excluded)
+    const total = countedTests.length;
     
     // Calculate total execution time by summing all test durations
+    // Quarantined tests still took time to run, so they are included here
     // reduce() adds up all duration values
     const totalDuration = suite.tests.reduce(
         (sum, test) => sum + test.duration,    // Add current test duration to sum
@@ -397,6 +519,12 @@ function generateTestSummary(suite: TestSuite): TestSummary {
         passed: statusCounts.passed,           // Number of passed tests
         failed: statusCounts.failed,           // Number of failed tests
         skipped: statusCounts.skipped,         // Number of skipped tests
+        flaky: statusCounts.flaky,             // Passed only after a retry
+        quarantined: {                         // Separate bucket, never fails the build
+            total: quarantinedTests.length,
+            passed: quarantinedTests.filter(test => test.status === "passed").length,
+            failed: quarantinedTests.filter(test => test.status === "failed").length
+        },
         passRate: passRate,                    // Pass percentage
         totalDuration: totalDuration           // Total execution time
     };
@@ -423,6 +551,13 @@ function displayTestReport(summary: TestSummary): void {
     console.log(`Passed:         ${summary.passed} ✅`);
     console.log(`Failed:         ${summary.failed} ❌`);
     console.log(`Skipped:        ${summary.skipped} ⏭️`);
+    console.log(`Flaky:          ${summary.flaky} ⚠️  (passed on retry)`);
+    
+    // Quarantined bucket - shown separately, never part of the numbers above
+    if (summary.quarantined.total > 0) {
+        const q = summary.quarantined;
+        console.log(`Quarantined:    ${q.total} 🚧 (${q.passed} passed, ${q.failed} failed - not counted)`);
+    }
     
     // Print pass rate with color indicator
     // Format to 2 decimal places
@@ -444,10 +579,299 @@ function displayTestReport(summary: TestSummary): void {
         console.log("❌ Status: MANY FAILURES (Critical)");
     }
     
+    // Flaky tests hide behind a green pass rate - call them out
+    if (summary.flaky > 0) {
+        console.log(`🔁 ${summary.flaky} flaky test(s) passed only after retrying - investigate`);
+    }
+    
     // Print report footer
     console.log("★".repeat(60) + "\n");
 }
 
+// ==========================================
+// FUNCTION 8: PARSE SHARD ARGUMENT
+// ==========================================
+// Reads "--shard=i/n" from the command line arguments
+// Parameters: argument list (defaults to process.argv)
+// Return type: ShardSpec, or undefined when no shard was requested
+// Throws on malformed values so a CI typo can't silently run every test
+function parseShardArg(argv: string[] = process.argv): ShardSpec | undefined {
+    const arg = argv.find(value => value.startsWith("--shard="));
+    if (!arg) {
+        return undefined;                          // No sharding: run everything
+    }
+    
+    // "--shard=2/3" → ["2/3", "2", "3"]
+    const match = arg.slice("--shard=".length).match(/^(\d+)\/(\d+)$/);
+    if (!match) {
+        throw new Error(`Invalid shard "${arg}" (expected --shard=i/n, e.g. --shard=1/4)`);
+    }
+    
+    const shard: ShardSpec = { index: Number(match[1]), total: Number(match[2]) };
+    if (shard.total < 1 || shard.index < 1 || shard.index > shard.total) {
+        throw new Error(`Invalid shard "${arg}" (i must be between 1 and n)`);
+    }
+    return shard;
+}
+
+// ==========================================
+// FUNCTION 9: STABLE HASH
+// ==========================================
+// FNV-1a 32-bit hash of a string
+// Same input → same number on every machine and every run,
+// unlike Math.random() or array position (which changes when tests are added)
+// Return type: unsigned 32-bit integer
+function stableHash(value: string): number {
+    let hash = 0x811c9dc5;                         // FNV offset basis
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);               // XOR in the next character
+        hash = Math.imul(hash, 0x01000193);        // Multiply by FNV prime (32-bit)
+    }
+    return hash >>> 0;                             // Force unsigned
+}
+
+// ==========================================
+// FUNCTION 10: SELECT TESTS FOR A SHARD
+// ==========================================
+// Deterministically assigns each test to exactly one shard by its id
+// Unlike chunkTests (position-based, one process), adding or removing
+// a test never moves the other tests to a different machine
+// Parameters: suite and shard spec
+// Return type: new TestSuite containing only this shard's tests
+function selectShardTests(suite: TestSuite, shard: ShardSpec): TestSuite {
+    const tests = suite.tests.filter(
+        test => stableHash(test.id) % shard.total === shard.index - 1
+    );
+    console.log(`🧩 Shard ${shard.index}/${shard.total}: ${tests.length} of ${suite.tests.length} test(s)`);
+    return { ...suite, tests };
+}
+
+// ==========================================
+// FUNCTION 11: WRITE SHARD RESULT FILE
+// ==========================================
+// Saves one shard's executed tests + summary as JSON
+// File name: <dir>/<suiteId>.shard-<i>-of-<n>.json
+// Return type: path of the written file (for logging / CI artifacts)
+function writeShardResult(suite: TestSuite, shard: ShardSpec, dir: string = "results"): string {
+    const result: ShardResult = {
+        shard,
+        suiteId: suite.id,
+        suiteName: suite.name,
+        tests: suite.tests,
+        summary: generateTestSummary(suite)
+    };
+    
+    // recursive: true → no error if the folder already exists
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `${suite.id}.shard-${shard.index}-of-${shard.total}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(result, null, 2));
+    
+    console.log(`💾 Shard result written: ${filePath}`);
+    return filePath;
+}
+
+// ==========================================
+// FUNCTION 12: MERGE SHARD RESULTS
+// ==========================================
+// Combines every shard file of a suite into one TestSuite
+// Parameters: results directory and suite id
+// Return type: TestSuite with the tests of all shards
+// (pass it to generateTestSummary / writeJUnitReport like any executed suite)
+// Throws if shard files disagree on n, or if a shard is missing,
+// so a lost CI job shows up as an error instead of a smaller total
+function mergeShardResults(dir: string, suiteId: string): TestSuite {
+    const files = fs.readdirSync(dir)
+        .filter(file => file.startsWith(`${suiteId}.shard-`) && file.endsWith(".json"))
+        .sort();
+    
+    if (files.length === 0) {
+        throw new Error(`No shard results for ${suiteId} in ${dir}`);
+    }
+    
+    const results: ShardResult[] = files.map(
+        file => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")) as ShardResult
+    );
+    
+    // Every file must come from the same split (e.g. all "of 3")
+    const total = results[0].shard.total;
+    if (results.some(result => result.shard.total !== total)) {
+        throw new Error(`Shard files in ${dir} come from different splits`);
+    }
+    
+    // Every shard 1..n must be present
+    const seen = new Set(results.map(result => result.shard.index));
+    const missing = Array.from({ length: total }, (_, i) => i + 1).filter(index => !seen.has(index));
+    if (missing.length > 0) {
+        throw new Error(`Missing shard result(s) for ${suiteId}: ${missing.join(", ")} of ${total}`);
+    }
+    
+    // Reuse the normal summary logic on a suite made of every shard's tests
+    const mergedSuite: TestSuite = createTestSuite(
+        suiteId,
+        results[0].suiteName,
+        results.flatMap(result => result.tests)
+    );
+    console.log(`🔗 Merged ${results.length} shard file(s) → ${mergedSuite.tests.length} test(s)`);
+    return mergedSuite;
+}
+
+// ==========================================
+// FUNCTION 13: ESCAPE XML
+// ==========================================
+// Replaces characters that would break XML markup
+// Needed because test names and error messages are free text
+// Return type: string safe for XML text and attribute values
+// Reference version: javascript/day-04 test-framework.js carries a JS copy
+// Control characters (ANSI colour codes in error messages, NUL, ...) are not
+// legal in XML 1.0 even when escaped, so they are dropped instead
+function escapeXml(value: string): string {
+    return value
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+        .replace(/&/g, "&amp;")        // Must be first (other escapes contain &)
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+// ==========================================
+// FUNCTION 14: GENERATE JUNIT XML
+// ==========================================
+// Converts executed suites into JUnit XML (the format Jenkins/GitLab read)
+// Parameters: executed suites and a name for the whole run
+// Return type: XML document as a string
+// Mapping:
+//   TestSuite → <testsuite>   (tests/failures/skipped/time attributes)
+//   TestCase  → <testcase>    (time in seconds, like TestCase.duration)
+//   failed    → <failure message="errorMessage">
+//   skipped   → <skipped/>
+//   flaky / screenshotPath → <system-out> (shown on the CI test page)
+function generateJUnitXml(suites: TestSuite[], runName: string = "Test Run"): string {
+    const suiteXml: string[] = suites.map(suite => {
+        const summary: TestSummary = generateTestSummary(suite);
+        
+        const cases: string[] = suite.tests.map(test => {
+            const attrs = `name="${escapeXml(test.name)}" classname="${escapeXml(suite.name)}" time="${test.duration.toFixed(3)}"`;
+            
+            // Child elements depend on the outcome
+            const children: string[] = [];
+            if (test.quarantined && test.status === "failed") {
+                // Reported as skipped so CI shows it without failing the build
+                const message = escapeXml(`Quarantined: ${test.errorMessage ?? "Test failed"}`);
+                children.push(`      <skipped message="${message}"/>`);
+            } else if (test.status === "failed") {
+                const message = escapeXml(test.errorMessage ?? "Test failed");
+                children.push(`      <failure message="${message}">${message}</failure>`);
+            } else if (test.status === "skipped") {
+                children.push(`      <skipped/>`);
+            }
+            
+            // Extra context CI shows next to the result
+            const output: string[] = [];
+            if (test.flaky && test.attempts) {
+                output.push(`Flaky: passed on attempt ${test.attempts.length}`);
+            }
+            if (test.screenshotPath) {
+                output.push(`[[ATTACHMENT|${test.screenshotPath}]]`);   // Jenkins attachment syntax
+            }
+            if (output.length > 0) {
+                children.push(`      <system-out>${escapeXml(output.join("\n"))}</system-out>`);
+            }
+            
+            return children.length === 0
+                ? `    <testcase ${attrs}/>`
+                : [`    <testcase ${attrs}>`, ...children, `    </testcase>`].join("\n");
+        });
+        
+        return [
+            `  <testsuite name="${escapeXml(suite.name)}" id="${escapeXml(suite.id)}" ` +
+                `tests="${suite.tests.length}" failures="${summary.failed}" errors="0" ` +
+                `skipped="${summary.skipped + summary.quarantined.failed}" time="${summary.totalDuration.toFixed(3)}">`,
+            `    <properties>`,
+            `      <property name="browser" value="${suite.browser}"/>`,
+            `    </properties>`,
+            ...cases,
+            `  </testsuite>`
+        ].join("\n");
+    });
+    
+    // Totals across every suite for the <testsuites> root element
+    const summaries: TestSummary[] = suites.map(generateTestSummary);
+    const total = suites.reduce((sum, suite) => sum + suite.tests.length, 0);
+    const failed = summaries.reduce((sum, s) => sum + s.failed, 0);
+    const skipped = summaries.reduce((sum, s) => sum + s.skipped + s.quarantined.failed, 0);
+    const time = summaries.reduce((sum, s) => sum + s.totalDuration, 0);
+    
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<testsuites name="${escapeXml(runName)}" tests="${total}" failures="${failed}" ` +
+            `skipped="${skipped}" time="${time.toFixed(3)}">`,
+        ...suiteXml,
+        `</testsuites>`
+    ].join("\n") + "\n";
+}
+
+// ==========================================
+// FUNCTION 15: WRITE JUNIT REPORT
+// ==========================================
+// Writes generateJUnitXml() output to a file CI can pick up
+// Parameters: executed suites and output path
+// Return type: path of the written file
+function writeJUnitReport(suites: TestSuite[], filePath: string = "results/junit.xml"): string {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, generateJUnitXml(suites));
+    console.log(`🧾 JUnit report written: ${filePath}`);
+    return filePath;
+}
+
+// ==========================================
+// FUNCTION 16: LOAD QUARANTINE LIST
+// ==========================================
+// Reads a JSON array of test ids, e.g. ["TC004", "TC005"]
+// The file is optional - no file means nothing is quarantined by file
+// (tests can also be quarantined with the "quarantine" tag)
+// Return type: Set for fast has() lookups
+function loadQuarantineList(filePath: string = "quarantine.json"): Set<string> {
+    if (!fs.existsSync(filePath)) {
+        return new Set();
+    }
+    
+    const ids: unknown = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === "string")) {
+        throw new Error(`${filePath} must contain a JSON array of test ids`);
+    }
+    return new Set(ids);
+}
+
+// ==========================================
+// FUNCTION 17: APPLY QUARANTINE
+// ==========================================
+// Marks tests that are on the list OR tagged "quarantine"
+// Parameters: suite and the ids from loadQuarantineList()
+// Return type: new TestSuite (original is not modified)
+function applyQuarantine(suite: TestSuite, quarantineIds: Set<string>): TestSuite {
+    const tests: TestCase[] = suite.tests.map(test => ({
+        ...test,
+        quarantined: quarantineIds.has(test.id) || (test.tags ?? []).includes("quarantine")
+    }));
+    
+    const count = tests.filter(test => test.quarantined).length;
+    if (count > 0) {
+        console.log(`🚧 ${count} quarantined test(s) will run but not count toward the result`);
+    }
+    return { ...suite, tests };
+}
+
+// ==========================================
+// FUNCTION 18: EXIT CODE
+// ==========================================
+// CI treats a non-zero exit code as a failed build
+// Only counted (non-quarantined) failures decide it
+// Return type: 0 (success) or 1 (failure)
+function getExitCode(summary: TestSummary): number {
+    return summary.failed > 0 ? 1 : 0;
+}
+
 // ==========================================
 // EXECUTION: DEMONSTRATION
 // ==========================================
@@ -469,28 +893,88 @@ console.log("\n--- Step 2: Creating Test Cases ---");
 const test1: TestCase = createTestCase("TC001", "Login with valid credentials", "critical");
 const test2: TestCase = createTestCase("TC002", "Login with invalid password", "high");
 const test3: TestCase = createTestCase("TC003", "Password reset flow", "medium");
-const test4: TestCase = createTestCase("TC004", "Remember me functionality", "low");
+// Known-flaky test: the "quarantine" tag keeps its failures out of the result
+// (ids listed in quarantine.json are quarantined the same way)
+const test4: TestCase = createTestCase("TC004", "Remember me functionality", "low", ["quarantine"]);
 const test5: TestCase = createTestCase("TC005", "Login timeout handling", "high");
 
 // STEP 3: Create test suite with all test cases
 console.log("\n--- Step 3: Creating Test Suite ---");
-const loginSuite: TestSuite = createTestSuite(
+// applyQuarantine() marks tagged tests and ids listed in quarantine.json
+const loginSuite: TestSuite = applyQuarantine(createTestSuite(
     "SUITE001",                                      // Suite ID
     "Login Functionality Tests",                     // Suite name
     [test1, test2, test3, test4, test5],            // Array of tests
     "chromium"                                       // Browser
-);
+), loadQuarantineList());
 
-// STEP 4: Run the entire test suite
-console.log("\n--- Step 4: Executing Test Suite ---");
-const executedSuite: TestSuite = runTestSuite(loginSuite, config);
+// The merge job (after all shards) runs no tests of its own:
+// node dist/.../test-automation-framework.js --merge
+const isMergeJob: boolean = process.argv.includes("--merge");
+let finalSummary: TestSummary;
 
-// STEP 5: Generate summary statistics
-console.log("\n--- Step 5: Generating Summary ---");
-const summary: TestSummary = generateTestSummary(executedSuite);
+if (isMergeJob) {
+    // STEP 8: Merge shard results instead of Steps 4-7
+    // Combines results/SUITE001.shard-*.json into one report and one JUnit file;
+    // the merged summary decides the build result in that job
+    console.log("\n--- Step 8: Merging Shard Results ---");
+    const mergedSuite: TestSuite = mergeShardResults("results", loginSuite.id);
+    finalSummary = generateTestSummary(mergedSuite);
+    displayTestReport(finalSummary);
+    writeJUnitReport([mergedSuite], "results/junit.xml");
+} else {
+    // STEP 4: Run the entire test suite
+    // With --shard=i/n only this machine's share of the tests runs,
+    // and the results are written to results/ for the merge step
+    // Example: node dist/.../test-automation-framework.js --shard=2/3
+    console.log("\n--- Step 4: Executing Test Suite ---");
+    const shard: ShardSpec | undefined = parseShardArg();
+    const executedSuite: TestSuite = shard
+        ? runTestSuite(selectShardTests(loginSuite, shard), config)
+        : runTestSuite(loginSuite, config);
+    if (shard) {
+        writeShardResult(executedSuite, shard);
+    }
+    
+    // STEP 5: Generate summary statistics
+    console.log("\n--- Step 5: Generating Summary ---");
+    finalSummary = generateTestSummary(executedSuite);
+    
+    // STEP 6: Display final report
+    console.log("\n--- Step 6: Displaying Report ---");
+    displayTestReport(finalSummary);
+    
+    // STEP 7: Write JUnit XML for CI (Jenkins / GitLab test reports)
+    // Each shard writes its own file so parallel CI jobs don't overwrite each other
+    console.log("\n--- Step 7: Writing JUnit Report ---");
+    writeJUnitReport(
+        [executedSuite],
+        shard ? `results/junit-shard-${shard.index}-of-${shard.total}.xml` : "results/junit.xml"
+    );
+}
+
+// Non-zero exit code fails the CI job - quarantined failures never do
+// --report-only keeps the process green (e.g. local demo runs: results are
+// random, see runTestAttempt) but still prints what CI would get
+const exitCode: number = getExitCode(finalSummary);
+if (process.argv.includes("--report-only")) {
+    console.log(`\nExit code for this run: ${exitCode} (not applied: --report-only)`);
+} else {
+    process.exitCode = exitCode;
+    console.log(`\nExit code for this run: ${exitCode}`);
+}
 
-// STEP 6: Display final report
-console.log("\n--- Step 6: Displaying Report ---");
-displayTestReport(summary);
+// The rule on fixed summaries: a quarantined failure alone keeps the build green
+const quarantineOnlySummary: TestSummary = {
+    total: 4, passed: 4, failed: 0, skipped: 0, flaky: 0,
+    quarantined: { total: 1, passed: 0, failed: 1 },
+    passRate: 100, totalDuration: 12
+};
+const realFailureSummary: TestSummary = {
+    ...quarantineOnlySummary,
+    passed: 3, failed: 1, passRate: 75
+};
+console.log(`Exit code with only a quarantined failure: ${getExitCode(quarantineOnlySummary)}`);   // 0
+console.log(`Exit code with a counted failure: ${getExitCode(realFailureSummary)}`);               // 1
 
 console.log("========== DEMO COMPLETE ==========");
\ No newline at end of file